@@ -0,0 +1,51 @@
+// batch.js - Helpers for extracting several URLs in one go
+//
+// URL list parsing and a small concurrency-limited task runner. The queue UI
+// and per-item state live in index.html.
+
+// Trailing characters that are almost always punctuation around a URL, not part of it
+const URL_TRAILING_PUNCTUATION = /[),.;:!?\]}'"»”’>]+$/;
+
+/**
+ * Finds every distinct http(s) URL in free text (newsletter paste, one-per-line
+ * list, comma/space separated...). URLs that were glued together because a
+ * single-line input dropped the line breaks are split apart again.
+ * @param {string} text
+ * @return {Array<string>} URLs in order of first appearance.
+ */
+function extractUrlsFromText(text) {
+  if (!text) return [];
+  // "…/a-storyhttps://…" -> "…/a-story https://…" (but keep ?u=https://… redirect params intact)
+  const separated = text.replace(/([^\s=?&/%(<"'])(https?:\/\/)/gi, '$1 $2');
+  const matches = separated.match(/https?:\/\/[^\s<>"'`]+/gi) || [];
+  const seen = new Set();
+  const urls = [];
+  matches.forEach(raw => {
+    let url = raw.replace(URL_TRAILING_PUNCTUATION, '');
+    // Keep a closing parenthesis that belongs to the URL, e.g. Wikipedia links
+    if (raw.length > url.length && raw[url.length] === ')' && url.includes('(') && !url.includes(')')) url += ')';
+    if (!/^https?:\/\/[^\s/$.?#]/i.test(url) || seen.has(url)) return;
+    seen.add(url);
+    urls.push(url);
+  });
+  return urls;
+}
+
+/**
+ * Runs `worker` over `items` with at most `limit` calls in flight.
+ * Worker errors are not caught here; the worker is expected to record its own failures.
+ * @param {Array}    items
+ * @param {number}   limit
+ * @param {Function} worker  async (item, index) => void
+ * @return {Promise<void>} Resolves once every item has been processed.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
@@ -0,0 +1,140 @@
+// editor.js - Block-level editing of the extracted article
+//
+// The article HTML is split into blocks (paragraphs, headings, lists, quotes,
+// tables...) that can be included or excluded one by one. Excluded blocks can be
+// remembered per site: the start of their text is stored in the site's rule
+// (site-rules.js), and blocks starting the same way (and with the same tag) are
+// removed from later extractions of that site (author bios, "Related stories",
+// newsletter sign-ups...).
+
+// Characters of normalized text stored per remembered block
+const EXCLUSION_SNIPPET_LENGTH = 120;
+
+const EDITOR_BLOCK_TAGS = new Set([
+  'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'DL', 'BLOCKQUOTE', 'PRE', 'TABLE', 'FIGURE', 'HR', 'IMG', 'PICTURE', 'DETAILS',
+]);
+// Wrappers that are split into their children when they contain blocks
+const EDITOR_CONTAINER_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE']);
+
+function isEditorBlock(node) {
+  return node.nodeType === 1 && (EDITOR_BLOCK_TAGS.has(node.tagName) || EDITOR_CONTAINER_TAGS.has(node.tagName));
+}
+
+/**
+ * Splits article HTML into top-level blocks, descending into wrapper elements.
+ * Loose inline content between blocks becomes a block of its own.
+ * @param {string} html
+ * @return {Array<{html: string, text: string, label: string, tag: string}>} `text` is the
+ *   collapsed textContent (what rules match), `label` the same with list items/cells kept apart,
+ *   for display. `tag` is '' for loose inline content.
+ */
+function splitArticleBlocks(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  const blocks = [];
+  const pushBlock = (blockHtml, text, tag, label = text) => {
+    const hasMedia = /<(img|picture|hr)\b/i.test(blockHtml);
+    if (text.trim() || hasMedia) blocks.push({ html: blockHtml, text: text.replace(/\s+/g, ' ').trim(), label: label.replace(/\s+/g, ' ').trim(), tag });
+  };
+  const visit = (parent) => {
+    let inlineHtml = ''; let inlineText = '';
+    const flushInline = () => { pushBlock(inlineHtml, inlineText, ''); inlineHtml = ''; inlineText = ''; };
+    parent.childNodes.forEach(node => {
+      if (node.nodeType === 1 && EDITOR_CONTAINER_TAGS.has(node.tagName) && Array.from(node.childNodes).some(isEditorBlock)) {
+        flushInline();
+        visit(node);
+      } else if (isEditorBlock(node)) {
+        flushInline();
+        pushBlock(node.outerHTML, node.textContent, node.tagName, getBlockLabel(node));
+      } else if (node.nodeType === 1 || node.nodeType === 3) {
+        inlineHtml += node.nodeType === 1 ? node.outerHTML : escapeHtml(node.textContent);
+        inlineText += node.textContent;
+      }
+    });
+    flushInline();
+  };
+  visit(doc.body);
+  return blocks;
+}
+
+function getBlockLabel(element) {
+  const clone = element.cloneNode(true);
+  clone.querySelectorAll('li, dt, dd, th, td, br, p').forEach(el => el.after(' '));
+  return clone.textContent;
+}
+
+// Blocks for plain text (fallback extraction or pasted text): one per paragraph
+function splitTextBlocks(text) {
+  return (text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+    .map(p => ({ html: textToReaderHtml(p), text: p, label: p, tag: 'P' }));
+}
+
+/**
+ * The rule remembered for an excluded block, or null if it can't be matched later.
+ * @param {{tag: string, text: string}} block
+ * @return {?{tag: string, text: string}}
+ */
+function getExclusionRule(block) {
+  const text = normalizeBlockText(block.text || '').substring(0, EXCLUSION_SNIPPET_LENGTH);
+  return block.tag && text ? { tag: block.tag, text } : null;
+}
+
+function isSameExclusionRule(a, b) {
+  return a.tag === b.tag && a.text === b.text;
+}
+
+// --- Remembered Exclusions (stored in the site rules) ---
+function getSiteExclusions(hostname) {
+  const match = findSiteRule(hostname);
+  return match ? match.rule.excludedBlocks : [];
+}
+
+// Adds exclusions to the site's rule (creating one if needed); returns how many were new
+function addSiteExclusions(hostname, newRules) {
+  const rules = loadSiteRules();
+  const match = findSiteRule(hostname, rules);
+  const domain = match ? match.domain : normalizeSiteDomain(hostname);
+  const rule = match ? match.rule : normalizeSiteRule({});
+  let added = 0;
+  newRules.filter(Boolean).forEach(block => {
+    if (rule.excludedBlocks.some(existing => isSameExclusionRule(existing, block))) return;
+    rule.excludedBlocks.push(block);
+    added++;
+  });
+  rules[domain] = rule;
+  if (!saveSiteRules(rules)) return 0;
+  return added;
+}
+
+function clearSiteExclusions(hostname) {
+  const rules = loadSiteRules();
+  const match = findSiteRule(hostname, rules);
+  if (!match) return true;
+  match.rule.excludedBlocks = [];
+  return saveSiteRules(rules);
+}
+
+/**
+ * Removes the blocks matching a site's remembered exclusions from a Readability result.
+ * @param {Object} article   Result of Readability#parse().
+ * @param {?Object} rule     The site's rule (findSiteRule).
+ * @return {Object} The article with `content` and `textContent` updated, and
+ *                  `excludedBlockCount` set when something was removed.
+ */
+function applySiteExclusions(article, rule) {
+  const excludedBlocks = rule ? rule.excludedBlocks : [];
+  if (!article || !article.content || excludedBlocks.length === 0) return article;
+  const doc = new DOMParser().parseFromString(article.content, 'text/html');
+  const tags = Array.from(new Set(excludedBlocks.map(block => block.tag.toLowerCase())));
+  let removed = 0;
+  doc.body.querySelectorAll(tags.join(', ')).forEach(element => {
+    if (!element.isConnected) return; // Inside an element removed earlier
+    const candidate = getExclusionRule({ tag: element.tagName, text: element.textContent });
+    if (candidate && excludedBlocks.some(existing => isSameExclusionRule(existing, candidate))) {
+      element.remove();
+      removed++;
+    }
+  });
+  if (removed === 0) return article;
+  const textContent = doc.body.textContent;
+  return { ...article, content: doc.body.innerHTML, textContent, length: textContent.length, excludedBlockCount: removed };
+}
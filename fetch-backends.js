@@ -0,0 +1,129 @@
+// fetch-backends.js - Ordered list of fetch backends (CORS proxies / direct fetch)
+//
+// Each backend turns the article URL into the URL that is actually fetched.
+// The list order (and which entries are enabled) is configured in Settings and
+// persisted in localStorage. The backend that last worked for a domain is
+// remembered so it is tried first next time.
+// Needs url-normalize.js (getUrlHostname, isLinkShortenerUrl) at call time.
+
+const FETCH_BACKENDS_STORAGE_KEY = 'articleExtractorFetchBackends';
+const BACKEND_BY_DOMAIN_STORAGE_KEY = 'articleExtractorBackendByDomain';
+
+// Built-in backend types. `endpoint` is a prefix the encoded target URL is appended to,
+// or a template containing `{url}`. Direct fetch has no endpoint.
+const FETCH_BACKEND_TYPES = {
+  allorigins: { label: 'AllOrigins', defaultEndpoint: 'https://api.allorigins.win/raw?url=', editable: true },
+  corsproxy: { label: 'corsproxy.io', defaultEndpoint: 'https://corsproxy.io/?url=', editable: true },
+  selfhosted: { label: 'Self-hosted proxy', defaultEndpoint: '', editable: true },
+  direct: { label: 'Direct (CORS-friendly sites)', defaultEndpoint: null, editable: false },
+};
+
+// Default order. The self-hosted entry is disabled until an endpoint is entered.
+const DEFAULT_FETCH_BACKENDS = [
+  { id: 'allorigins', enabled: true, endpoint: FETCH_BACKEND_TYPES.allorigins.defaultEndpoint },
+  { id: 'corsproxy', enabled: true, endpoint: FETCH_BACKEND_TYPES.corsproxy.defaultEndpoint },
+  { id: 'selfhosted', enabled: false, endpoint: '' },
+  { id: 'direct', enabled: true, endpoint: null },
+];
+
+// --- Backend List Storage ---
+function loadFetchBackends() {
+  let stored = null;
+  try {
+    const raw = localStorage.getItem(FETCH_BACKENDS_STORAGE_KEY);
+    if (raw) stored = JSON.parse(raw);
+  } catch (e) {
+    console.error("Could not load/parse fetch backends from localStorage.", e);
+  }
+  if (!Array.isArray(stored)) {
+    return DEFAULT_FETCH_BACKENDS.map(b => ({ ...b }));
+  }
+  // Keep stored order, drop unknown ids, and append any built-in backend added since
+  const backends = stored.filter(b => b && FETCH_BACKEND_TYPES[b.id]).map(b => ({
+    id: b.id,
+    enabled: !!b.enabled,
+    endpoint: FETCH_BACKEND_TYPES[b.id].editable ? String(b.endpoint || '') : null,
+  }));
+  DEFAULT_FETCH_BACKENDS.forEach(def => {
+    if (!backends.some(b => b.id === def.id)) backends.push({ ...def });
+  });
+  return backends;
+}
+
+function saveFetchBackends(backends) {
+  try {
+    localStorage.setItem(FETCH_BACKENDS_STORAGE_KEY, JSON.stringify(backends));
+    console.log("Saved fetch backends to localStorage");
+    return true;
+  } catch (e) {
+    console.error("Could not save fetch backends to localStorage.", e);
+    return false;
+  }
+}
+
+// --- Per-Domain Memory ---
+function loadBackendByDomain() {
+  try {
+    const raw = localStorage.getItem(BACKEND_BY_DOMAIN_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    console.error("Could not load/parse backend memory from localStorage.", e);
+    return {};
+  }
+}
+
+function rememberBackendForUrl(targetUrl, backendId) {
+  const hostname = getUrlHostname(targetUrl);
+  if (!hostname) return;
+  const memory = loadBackendByDomain();
+  if (memory[hostname] === backendId) return;
+  memory[hostname] = backendId;
+  try {
+    localStorage.setItem(BACKEND_BY_DOMAIN_STORAGE_KEY, JSON.stringify(memory));
+  } catch (e) {
+    console.error("Could not save backend memory to localStorage.", e);
+  }
+}
+
+function clearBackendMemory() {
+  try {
+    localStorage.removeItem(BACKEND_BY_DOMAIN_STORAGE_KEY);
+    return true;
+  } catch (e) {
+    console.error("Could not clear backend memory in localStorage.", e);
+    return false;
+  }
+}
+
+// --- URL Building ---
+function buildBackendUrl(backend, targetUrl) {
+  if (backend.id === 'direct') return targetUrl;
+  const endpoint = (backend.endpoint || '').trim();
+  if (!endpoint) return null;
+  const encoded = encodeURIComponent(targetUrl);
+  if (endpoint.includes('{url}')) return endpoint.replace('{url}', encoded);
+  if (endpoint.endsWith('=')) return endpoint + encoded;
+  // Bare endpoint (e.g. "https://proxy.example.com/"): use the `?url=` contract
+  if (/[?&]$/.test(endpoint)) return endpoint + 'url=' + encoded;
+  return endpoint + (endpoint.includes('?') ? '&' : '?') + 'url=' + encoded;
+}
+
+// Enabled, usable backends for a target URL, with the one remembered for its domain first.
+// Link shorteners go to the self-hosted proxy first: it reports where the redirect led
+// (X-Final-URL), the public proxies don't.
+function getBackendsForUrl(targetUrl, backends) {
+  const usable = backends.filter(b => b.enabled && buildBackendUrl(b, targetUrl));
+  const preferredId = isLinkShortenerUrl(targetUrl) && usable.some(b => b.id === 'selfhosted')
+    ? 'selfhosted'
+    : loadBackendByDomain()[getUrlHostname(targetUrl)];
+  const preferredIndex = usable.findIndex(b => b.id === preferredId);
+  if (preferredIndex > 0) {
+    usable.unshift(usable.splice(preferredIndex, 1)[0]);
+  }
+  return usable;
+}
+
+function getBackendLabel(backend) {
+  return FETCH_BACKEND_TYPES[backend.id]?.label || backend.id;
+}
@@ -0,0 +1,120 @@
+// history.js - Persistent extraction history (IndexedDB)
+//
+// Every successful URL extraction is stored with its metadata, raw text and the
+// prefix that was used, so it can be reopened, copied or shared again later
+// without fetching the page (works offline).
+
+const HISTORY_DB_NAME = 'articleExtractor';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE_NAME = 'history';
+
+let historyDbPromise = null;
+
+// Wraps an IDBRequest in a Promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error("IndexedDB is not available."));
+  historyDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+        const store = db.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('url', 'url', { unique: false });
+        store.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn("History database upgrade blocked by another open tab.");
+  }).catch(error => {
+    historyDbPromise = null; // Allow a later retry
+    throw error;
+  });
+  return historyDbPromise;
+}
+
+/**
+ * Runs `callback` with an object store and resolves once its transaction has completed.
+ * Shared with offline-queue.js, which keeps its own database.
+ * @param {IDBDatabase} db
+ * @param {string}      storeName
+ * @param {string}      mode      'readonly' or 'readwrite'
+ * @param {Function}    callback  async (store) => result
+ * @return {Promise<*>} The callback's result.
+ */
+async function runInTransaction(db, storeName, mode, callback) {
+  const transaction = db.transaction(storeName, mode);
+  // Listen before running the callback, the transaction may complete while we await it
+  const completed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  let result;
+  try {
+    result = await callback(transaction.objectStore(storeName));
+  } catch (error) {
+    completed.catch(() => {}); // The callback's error is the one worth reporting
+    throw error;
+  }
+  await completed;
+  return result;
+}
+
+async function withHistoryStore(mode, callback) {
+  return runInTransaction(await openHistoryDb(), HISTORY_STORE_NAME, mode, callback);
+}
+
+/**
+ * Saves an extraction. Extracting the same URL again replaces the older entry
+ * (keeping its id) instead of adding a duplicate.
+ * @param {Object} entry  { url, originalUrl, title, byline, siteName, publishedTime, text, prefix }
+ * @return {Promise<number>} The id of the stored entry.
+ */
+function addHistoryEntry(entry) {
+  return withHistoryStore('readwrite', async (store) => {
+    const existing = await promisifyRequest(store.index('url').get(entry.url));
+    const record = { ...entry, createdAt: Date.now() };
+    if (existing) record.id = existing.id;
+    return promisifyRequest(store.put(record));
+  });
+}
+
+// All entries, newest first
+function getHistoryEntries() {
+  return withHistoryStore('readonly', async (store) => {
+    const entries = await promisifyRequest(store.getAll());
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+  });
+}
+
+function getHistoryEntry(id) {
+  return withHistoryStore('readonly', store => promisifyRequest(store.get(id)));
+}
+
+function deleteHistoryEntry(id) {
+  return withHistoryStore('readwrite', store => promisifyRequest(store.delete(id)));
+}
+
+function clearHistoryEntries() {
+  return withHistoryStore('readwrite', store => promisifyRequest(store.clear()));
+}
+
+// Case-insensitive match of every search word against title, site, author, section, tags, URLs and text
+function filterHistoryEntries(entries, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return entries;
+  return entries.filter(entry => {
+    const haystack = [entry.title, entry.siteName, entry.byline, entry.section, ...(entry.tags || []), entry.url, entry.originalUrl, entry.text]
+      .filter(Boolean).join('\n').toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
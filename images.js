@@ -0,0 +1,132 @@
+// images.js - Images, figures and captions of the extracted article
+//
+// Text output loses the article's images, so they are numbered in document
+// order and kept as references: "[Image 2]" marks where each one was (in
+// Markdown, the image link gets the number) and a numbered list with the URL,
+// alt text and caption is appended to the output. The same list drives the
+// thumbnails under the output and sharing the images as files.
+
+const IMAGE_MAX_SHARED_FILES = 10;
+// Images declared this small are tracking pixels or spacers
+const IMAGE_MIN_DECLARED_SIZE = 2;
+
+// Largest candidate of a srcset ("url 2x, url 800w" ...)
+function getLargestSrcsetUrl(srcset) {
+  let best = null;
+  (srcset || '').split(/,\s+/).forEach(entry => {
+    const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+    const size = parseFloat(descriptor) || 1;
+    if (url && (!best || size > best.size)) best = { url, size };
+  });
+  return best ? best.url : '';
+}
+
+/**
+ * The absolute http(s) URL of an image, or '' if it has none worth keeping
+ * (inline data, tracking pixels, unresolvable relative URLs).
+ * @param {Element} img
+ * @param {string}  [baseUrl]  The page URL, for relative sources.
+ * @return {string}
+ */
+function getArticleImageUrl(img, baseUrl = '') {
+  const width = parseInt(img.getAttribute('width'), 10);
+  const height = parseInt(img.getAttribute('height'), 10);
+  if (width < IMAGE_MIN_DECLARED_SIZE || height < IMAGE_MIN_DECLARED_SIZE) return '';
+  const src = (img.getAttribute('src') || img.getAttribute('data-src') || getLargestSrcsetUrl(img.getAttribute('srcset'))).trim();
+  if (!src || src.startsWith('data:')) return '';
+  try {
+    const url = baseUrl ? new URL(src, baseUrl) : new URL(src);
+    return /^https?:$/.test(url.protocol) ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Numbers the images under `root` in document order, setting IMAGE_NUMBER_ATTRIBUTE
+ * (markdown.js) on each; repeats of the same URL share a number.
+ * @param {Element} root     Modified in place.
+ * @param {string}  [baseUrl]
+ * @return {Array<{src: string, alt: string, caption: string}>} One entry per number.
+ */
+function numberArticleImages(root, baseUrl = '') {
+  const images = [];
+  root.querySelectorAll('img').forEach(img => {
+    const src = getArticleImageUrl(img, baseUrl);
+    if (!src) return;
+    let index = images.findIndex(image => image.src === src);
+    if (index === -1) {
+      const figcaption = img.closest('figure')?.querySelector('figcaption');
+      images.push({
+        src,
+        alt: (img.getAttribute('alt') || img.getAttribute('title') || '').replace(/\s+/g, ' ').trim(),
+        caption: figcaption ? figcaption.textContent.replace(/\s+/g, ' ').trim() : '',
+      });
+      index = images.length - 1;
+    }
+    img.setAttribute(IMAGE_NUMBER_ATTRIBUTE, String(index + 1));
+  });
+  return images;
+}
+
+// The images of article HTML, without keeping the numbered copy
+function collectArticleImages(html, baseUrl = '') {
+  if (!html) return [];
+  return numberArticleImages(new DOMParser().parseFromString(html, 'text/html').body, baseUrl);
+}
+
+// Replaces each numbered image with a "[Image N]" marker, so it shows up in textContent
+function replaceImagesWithMarkers(root) {
+  root.querySelectorAll(`img[${IMAGE_NUMBER_ATTRIBUTE}]`).forEach(img => {
+    img.replaceWith(` [Image ${img.getAttribute(IMAGE_NUMBER_ATTRIBUTE)}] `);
+  });
+}
+
+/**
+ * The numbered list appended to the output.
+ * @param {Array<{src: string, alt: string, caption: string}>} images
+ * @param {string} format  'text' or 'markdown'.
+ * @return {string} '' without images.
+ */
+function formatImageReferences(images, format) {
+  if (!images.length) return '';
+  if (format === 'markdown') {
+    const lines = images.map((image, i) => {
+      const description = [image.alt, image.caption].filter(Boolean).map(escapeMarkdownText).join(' — ');
+      return `${i + 1}. [${description || 'Image'}](${escapeMarkdownUrl(image.src)})`;
+    });
+    return `## Images\n\n${lines.join('\n')}`;
+  }
+  const lines = images.map((image, i) => {
+    const description = [image.alt, image.caption].filter(Boolean).join(' — ');
+    return `[Image ${i + 1}] ${description ? description + '\n' : ''}${image.src}`;
+  });
+  return `Images:\n${lines.join('\n')}`;
+}
+
+function getImageFileExtension(type) {
+  const subtype = (type.split('/')[1] || '').split(/[+;]/)[0];
+  return subtype === 'jpeg' ? 'jpg' : subtype || 'img';
+}
+
+/**
+ * Downloads images as Files for navigator.share(). Images that fail or aren't
+ * images are skipped.
+ * @param {Array<{src: string}>} images
+ * @param {function(string): Promise<Response>} fetchImage  Fetches a URL (through a proxy, as pages are).
+ * @return {Promise<File[]>} At most IMAGE_MAX_SHARED_FILES files, named image-N after their number.
+ */
+async function fetchImageFiles(images, fetchImage) {
+  const files = [];
+  for (let i = 0; i < images.length && files.length < IMAGE_MAX_SHARED_FILES; i++) {
+    try {
+      const response = await fetchImage(images[i].src);
+      const blob = await response.blob();
+      if (!blob.type.startsWith('image/')) { console.warn(`Not an image, skipped: ${images[i].src} (${blob.type || 'no type'})`); continue; }
+      files.push(new File([blob], `image-${i + 1}.${getImageFileExtension(blob.type)}`, { type: blob.type }));
+    } catch (error) {
+      console.warn(`Could not download image ${images[i].src}:`, error);
+    }
+  }
+  return files;
+}
@@ -0,0 +1,84 @@
+// inspector.js - Extraction debug inspector
+//
+// Runs Readability on a copy of the page with its `inspector` hook (see
+// readability.js) to show why an extraction came out the way it did. When the
+// text found is shorter than charThreshold, Readability retries with one of its
+// heuristics switched off; each try is reported as an attempt with its top
+// candidates (score, class weight, link density), the container it settled on,
+// the nodes _cleanConditionally dropped and why, and the flag removed after it.
+
+const INSPECTOR_TEXT_SNIPPET_LENGTH = 80;
+
+// Element plus id and classes, e.g. "div#main.post-body"
+function describeInspectedNode(node) {
+  const id = node.id ? `#${node.id}` : '';
+  const className = typeof node.className === 'string' ? node.className.trim() : '';
+  const classes = className ? '.' + className.split(/\s+/).join('.') : '';
+  const text = (node.textContent || '').replace(/\s+/g, ' ').trim();
+  return {
+    selector: `${node.tagName.toLowerCase()}${id}${classes}`,
+    text: text.length > INSPECTOR_TEXT_SNIPPET_LENGTH ? text.substring(0, INSPECTOR_TEXT_SNIPPET_LENGTH) + '…' : text,
+    textLength: text.length,
+  };
+}
+
+// Labels of the READABILITY_FLAG_OPTIONS (site-rules.js) set in `flags`
+function describeReadabilityFlags(flags) {
+  return Object.values(READABILITY_FLAG_OPTIONS).filter(option => flags & option.flag).map(option => option.label);
+}
+
+function getReadabilityFlagLabel(flag) {
+  const option = Object.values(READABILITY_FLAG_OPTIONS).find(candidate => candidate.flag === flag);
+  return option ? option.label : `flag ${flag}`;
+}
+
+/**
+ * Parses a page with Readability and reports on every attempt.
+ * @param {Document} doc      The page to inspect. Readability modifies it, pass a copy.
+ * @param {Object}   options  Readability options, as used for the real extraction.
+ * @return {{attempts: Array<Object>, usedAttempt: number, article: ?Object}} Each attempt is
+ *   { flags, candidates, topCandidate, cleaned, textLength, failed, removedFlag }; `usedAttempt`
+ *   is the index of the attempt the article came from (-1 if there is none).
+ */
+function inspectReadability(doc, options = {}) {
+  const attempts = [];
+  let attempt = null;
+  const inspector = (event, data) => {
+    if (event === 'candidates') {
+      attempt = {
+        flags: data.flags,
+        candidates: data.candidates.map(candidate => ({
+          ...describeInspectedNode(candidate.node),
+          score: candidate.score,
+          classWeight: candidate.classWeight,
+          linkDensity: candidate.linkDensity,
+        })),
+        topCandidate: null, cleaned: [], textLength: null, failed: false, removedFlag: null,
+      };
+      attempts.push(attempt);
+    } else if (!attempt) {
+      return;
+    } else if (event === 'topCandidate') {
+      attempt.topCandidate = { ...describeInspectedNode(data.node), score: data.score, createdFromBody: data.createdFromBody };
+    } else if (event === 'cleanConditionally') {
+      attempt.cleaned.push({ ...describeInspectedNode(data.node), reasons: data.reasons });
+    } else if (event === 'textLength') {
+      attempt.textLength = data.textLength;
+      attempt.failed = data.tooShort;
+    } else if (event === 'removeFlag') {
+      attempt.removedFlag = data.flag;
+    }
+  };
+
+  const article = new Readability(doc, { ...options, inspector }).parse();
+
+  let usedAttempt = -1;
+  const last = attempts[attempts.length - 1];
+  if (article && last && !last.failed) {
+    usedAttempt = attempts.length - 1;
+  } else if (article) {
+    // Every attempt was too short: Readability falls back to the longest one
+    attempts.forEach((candidate, index) => { if (usedAttempt === -1 || candidate.textLength > attempts[usedAttempt].textLength) usedAttempt = index; });
+  }
+  return { attempts, usedAttempt, article };
+}
@@ -0,0 +1,227 @@
+// markdown.js - Converts Readability's article HTML to Markdown
+//
+// Keeps the structure LLMs benefit from: headings, emphasis, links, lists,
+// blockquotes, code blocks, images (as alt-text links, with their number when
+// images.js numbered them) and data tables (GFM).
+// Tables count as data tables when Readability's _markDataTables flagged them;
+// that flag is a DOM expando, so `markDataTablesSerializer` copies it into the
+// DATA_TABLE_ATTRIBUTE attribute ("data" or "layout") when the article is serialized.
+
+const DATA_TABLE_ATTRIBUTE = 'data-readability-table';
+// Set on images by numberArticleImages (images.js)
+const IMAGE_NUMBER_ATTRIBUTE = 'data-image-number';
+
+const MARKDOWN_BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR',
+  'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL',
+]);
+const MARKDOWN_SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'SVG', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA']);
+
+/**
+ * Readability `serializer` option: same output as the default (innerHTML), but
+ * data tables are marked with DATA_TABLE_ATTRIBUTE so the flag survives.
+ * @param {Element} articleContent
+ * @return {string}
+ */
+function markDataTablesSerializer(articleContent) {
+  articleContent.querySelectorAll('table').forEach(table => {
+    if (typeof table._readabilityDataTable === 'boolean') {
+      table.setAttribute(DATA_TABLE_ATTRIBUTE, table._readabilityDataTable ? 'data' : 'layout');
+    }
+  });
+  return articleContent.innerHTML;
+}
+
+function escapeMarkdownText(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// A URL for a Markdown link target: whitespace and parentheses would end or split it
+function escapeMarkdownUrl(url) {
+  return url.replace(/\s/g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function isMarkdownBlock(node) {
+  return node.nodeType === 1 && MARKDOWN_BLOCK_TAGS.has(node.tagName);
+}
+
+// Wraps inline content in a delimiter, keeping surrounding whitespace outside it
+function wrapInline(content, delimiter) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+}
+
+function renderMarkdownImage(img) {
+  const src = img.getAttribute('src') || img.getAttribute('data-src') || '';
+  if (!src || src.startsWith('data:')) return '';
+  const alt = (img.getAttribute('alt') || img.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+  const number = img.getAttribute(IMAGE_NUMBER_ATTRIBUTE) || '';
+  return `[Image${number ? ' ' + number : ''}${alt ? ': ' + escapeMarkdownText(alt) : ''}](${escapeMarkdownUrl(src)})`;
+}
+
+function renderMarkdownInline(node) {
+  if (node.nodeType === 3) {
+    return escapeMarkdownText(node.textContent.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== 1 || MARKDOWN_SKIPPED_TAGS.has(node.tagName)) return '';
+
+  const children = () => Array.from(node.childNodes).map(child => renderMarkdownInline(child)).join('');
+  switch (node.tagName) {
+    case 'BR':
+      return '\n';
+    case 'STRONG': case 'B':
+      return wrapInline(children(), '**');
+    case 'EM': case 'I': case 'CITE':
+      return wrapInline(children(), '*');
+    case 'DEL': case 'S': case 'STRIKE':
+      return wrapInline(children(), '~~');
+    case 'CODE': case 'KBD': case 'SAMP': {
+      const code = node.textContent;
+      const fence = code.includes('`') ? '``' : '`';
+      return code.trim() ? `${fence}${code}${fence}` : '';
+    }
+    case 'IMG':
+      return renderMarkdownImage(node);
+    case 'A': {
+      const href = (node.getAttribute('href') || '').trim();
+      const text = children().trim();
+      if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+      if (!text) return '';
+      return `[${text}](${escapeMarkdownUrl(href)})`;
+    }
+    default:
+      // Block elements nested in inline context (e.g. a <p> inside <a>): render their text inline
+      return children();
+  }
+}
+
+// Renders the children of `parent` as a list of Markdown blocks
+function renderMarkdownBlocks(parent) {
+  const blocks = [];
+  let inlineBuffer = '';
+  const flushInline = () => {
+    const text = inlineBuffer.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/ {2,}/g, ' ').trim();
+    if (text) blocks.push(text);
+    inlineBuffer = '';
+  };
+  parent.childNodes.forEach(child => {
+    if (isMarkdownBlock(child)) {
+      flushInline();
+      const block = renderMarkdownBlock(child);
+      if (block && block.trim()) blocks.push(block);
+    } else {
+      inlineBuffer += renderMarkdownInline(child);
+    }
+  });
+  flushInline();
+  return blocks;
+}
+
+function renderMarkdownBlock(el) {
+  switch (el.tagName) {
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+      const text = renderMarkdownBlocks(el).join(' ').replace(/\n/g, ' ');
+      return text ? `${'#'.repeat(parseInt(el.tagName[1], 10))} ${text}` : '';
+    }
+    case 'P': case 'SUMMARY':
+      return renderMarkdownBlocks(el).join('\n\n');
+    case 'HR':
+      return '---';
+    case 'BLOCKQUOTE':
+      return renderMarkdownBlocks(el).join('\n\n').split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+    case 'UL': case 'OL':
+      return renderMarkdownList(el);
+    case 'PRE':
+      return renderMarkdownCodeBlock(el);
+    case 'TABLE':
+      return renderMarkdownTable(el);
+    case 'FIGCAPTION':
+      return wrapInline(renderMarkdownBlocks(el).join(' '), '*');
+    case 'DT':
+      return wrapInline(renderMarkdownBlocks(el).join(' '), '**');
+    case 'DD':
+      return renderMarkdownBlocks(el).join('\n\n').split('\n').map(line => line ? `: ${line}` : line).join('\n');
+    default:
+      return renderMarkdownBlocks(el).join('\n\n');
+  }
+}
+
+function renderMarkdownList(list) {
+  const ordered = list.tagName === 'OL';
+  let number = parseInt(list.getAttribute('start'), 10);
+  if (isNaN(number)) number = 1;
+  const items = [];
+  Array.from(list.children).forEach(item => {
+    if (item.tagName !== 'LI') return;
+    const marker = ordered ? `${number++}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    const content = renderMarkdownBlocks(item).join('\n');
+    if (!content) return;
+    items.push(marker + content.split('\n').map((line, i) => (i === 0 || !line) ? line : indent + line).join('\n'));
+  });
+  return items.join('\n');
+}
+
+function renderMarkdownCodeBlock(pre) {
+  const clone = pre.cloneNode(true);
+  clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  const code = clone.textContent.replace(/\n+$/, '');
+  if (!code.trim()) return '';
+  const languageSource = `${pre.className} ${pre.querySelector('code')?.className || ''}`;
+  const language = (languageSource.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+  const longestBacktickRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestBacktickRun + 1);
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+function isDataTable(table) {
+  if (table.hasAttribute(DATA_TABLE_ATTRIBUTE)) return table.getAttribute(DATA_TABLE_ATTRIBUTE) === 'data';
+  // Not serialized through Readability: fall back to a simple structural check
+  return table.rows.length > 1 && !!table.querySelector('th, thead');
+}
+
+function renderMarkdownTableCell(cell) {
+  return renderMarkdownBlocks(cell).join(' ').replace(/\n/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+function renderMarkdownTable(table) {
+  const rows = Array.from(table.rows);
+  if (!isDataTable(table) || rows.length === 0) {
+    // Layout table: keep the content, lose the grid
+    return rows.map(row => Array.from(row.cells).map(cell => renderMarkdownBlocks(cell).join('\n\n')).filter(Boolean).join('\n\n'))
+      .filter(Boolean).join('\n\n');
+  }
+
+  const grid = rows.map(row => {
+    const cells = [];
+    Array.from(row.cells).forEach(cell => {
+      cells.push(renderMarkdownTableCell(cell));
+      const colspan = Math.min(parseInt(cell.getAttribute('colspan'), 10) || 1, 50);
+      for (let i = 1; i < colspan; i++) cells.push('');
+    });
+    return cells;
+  });
+  const width = Math.max(...grid.map(cells => cells.length));
+  grid.forEach(cells => { while (cells.length < width) cells.push(''); });
+
+  const line = cells => `| ${cells.join(' | ')} |`;
+  const lines = [line(grid[0]), line(new Array(width).fill('---')), ...grid.slice(1).map(line)];
+  const caption = table.caption ? renderMarkdownTableCell(table.caption) : '';
+  return (caption ? `**${caption}**\n\n` : '') + lines.join('\n');
+}
+
+/**
+ * Converts an HTML fragment (e.g. Readability's `article.content`) to Markdown.
+ * The HTML is parsed into an inert document, so nothing in it loads or runs.
+ * @param {string} html
+ * @return {string}
+ */
+function htmlToMarkdown(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  return renderMarkdownBlocks(doc.body)
+    .join('\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,121 @@
+// metadata-header.js - Article metadata header for the output
+//
+// Puts the source, site, author, date and so on above the article text, so a
+// prompt for fact-checking or citing carries them. The header is added when the
+// output is rendered (not stored in the text), so changing the format or fields
+// in Settings applies to the current output right away.
+
+const METADATA_HEADER_STORAGE_KEY = 'articleExtractorMetadataHeader';
+const READING_WORDS_PER_MINUTE = 230;
+
+const METADATA_HEADER_FORMATS = { none: 'None', plain: 'Plain text', yaml: 'YAML front matter', json: 'JSON' };
+// `id` is the YAML/JSON key, `label` the plain-text one
+const METADATA_HEADER_FIELDS = [
+  { id: 'source', label: 'Source' },
+  { id: 'site', label: 'Site' },
+  { id: 'author', label: 'Author' },
+  { id: 'published', label: 'Published' },
+  { id: 'modified', label: 'Modified' },
+  { id: 'publisher', label: 'Publisher' },
+  { id: 'section', label: 'Section' },
+  { id: 'tags', label: 'Tags' },
+  { id: 'language', label: 'Language' },
+  { id: 'wordCount', label: 'Words' },
+  { id: 'readingTime', label: 'Reading time' },
+  { id: 'canonical', label: 'Canonical URL' },
+  { id: 'image', label: 'Image' },
+  { id: 'license', label: 'License' },
+];
+
+// fields: ids of the METADATA_HEADER_FIELDS to include
+const DEFAULT_METADATA_HEADER_SETTINGS = { format: 'none', fields: METADATA_HEADER_FIELDS.map(field => field.id) };
+
+// --- Metadata Header Settings Storage ---
+function loadMetadataHeaderSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(METADATA_HEADER_STORAGE_KEY) || 'null');
+    const settings = { ...DEFAULT_METADATA_HEADER_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    if (!METADATA_HEADER_FORMATS[settings.format]) settings.format = DEFAULT_METADATA_HEADER_SETTINGS.format;
+    settings.fields = Array.isArray(settings.fields)
+      ? METADATA_HEADER_FIELDS.map(field => field.id).filter(id => settings.fields.includes(id))
+      : [...DEFAULT_METADATA_HEADER_SETTINGS.fields];
+    return settings;
+  } catch (e) {
+    console.error("Could not load/parse metadata header settings from localStorage.", e);
+    return { ...DEFAULT_METADATA_HEADER_SETTINGS, fields: [...DEFAULT_METADATA_HEADER_SETTINGS.fields] };
+  }
+}
+
+function saveMetadataHeaderSettings(settings) {
+  try {
+    localStorage.setItem(METADATA_HEADER_STORAGE_KEY, JSON.stringify(settings));
+    console.log("Saved metadata header settings to localStorage");
+    return true;
+  } catch (e) {
+    console.error("Could not save metadata header settings to localStorage.", e);
+    return false;
+  }
+}
+
+/**
+ * The header values for an article, in field order; empty ones are left out.
+ * @param {Object} metadata  { url, siteName, byline, publishedTime, tags, lang, ... } (getArticleMetadata).
+ * @param {string} text      The extracted text, for the word count and reading time.
+ * @param {string[]} fields  Ids of the fields to include.
+ * @return {Array<[string, string|number|string[]]>} [id, value] pairs; readingTime is in minutes, tags an array.
+ */
+function getMetadataHeaderValues(metadata, text, fields) {
+  const wordCount = countWords(text);
+  const values = {
+    source: metadata.url,
+    site: metadata.siteName,
+    author: metadata.byline,
+    published: metadata.publishedTime,
+    modified: metadata.modifiedTime,
+    publisher: metadata.publisher,
+    section: metadata.section,
+    tags: metadata.tags?.length ? metadata.tags : null,
+    language: metadata.lang,
+    wordCount: wordCount || null,
+    readingTime: wordCount ? Math.max(1, Math.round(wordCount / READING_WORDS_PER_MINUTE)) : null,
+    // Only worth repeating when it differs from the URL the article was fetched from
+    canonical: metadata.canonicalUrl && metadata.canonicalUrl !== metadata.url ? metadata.canonicalUrl : null,
+    image: metadata.image,
+    license: metadata.license,
+  };
+  return METADATA_HEADER_FIELDS
+    .filter(field => fields.includes(field.id))
+    .map(field => [field.id, typeof values[field.id] === 'string' ? values[field.id].replace(/\s+/g, ' ').trim() : values[field.id]])
+    .filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+/**
+ * The header in the chosen format, or '' when it is off or there is nothing to show.
+ * @param {Object} metadata
+ * @param {string} text
+ * @param {{format: string, fields: string[]}} settings
+ * @return {string}
+ */
+function formatMetadataHeader(metadata, text, settings) {
+  if (settings.format === 'none') return '';
+  const entries = getMetadataHeaderValues(metadata || {}, text, settings.fields);
+  if (entries.length === 0) return '';
+  if (settings.format === 'json') {
+    const object = Object.fromEntries(entries.map(([id, value]) => [id === 'readingTime' ? 'readingTimeMinutes' : id, value]));
+    return JSON.stringify(object, null, 2);
+  }
+  if (settings.format === 'yaml') {
+    // JSON strings and arrays are valid YAML, and the quoting keeps colons, quotes and "#" safe
+    const lines = entries.map(([id, value]) => `${id === 'readingTime' ? 'readingTimeMinutes' : id}: ${typeof value === 'number' ? value : JSON.stringify(value)}`);
+    return `---\n${lines.join('\n')}\n---`;
+  }
+  const labels = Object.fromEntries(METADATA_HEADER_FIELDS.map(field => [field.id, field.label]));
+  const plainValue = (id, value) => (id === 'readingTime' ? `${value} min` : Array.isArray(value) ? value.join(', ') : value);
+  return entries.map(([id, value]) => `${labels[id]}: ${plainValue(id, value)}`).join('\n');
+}
+
+// The text with the header (if any) above it
+function prependMetadataHeader(text, metadata, settings) {
+  const header = formatMetadataHeader(metadata, text, settings);
+  return header ? `${header}\n\n${text}` : text;
+}
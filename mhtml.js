@@ -0,0 +1,100 @@
+// mhtml.js - Reading MHTML page archives
+//
+// Browsers can save a page with its images and styles as a single .mhtml file:
+// a MIME multipart/related message (RFC 2557) whose parts are each encoded as
+// quoted-printable, base64 or raw bytes. Only the HTML part is needed, with
+// the URL it was saved from (its Content-Location), so relative links resolve
+// against the real site and history records the real page.
+// Also loaded by the service worker (sw.js), so nothing here may need a DOM.
+
+const MHTML_MIME_TYPES = ['multipart/related', 'message/rfc822', 'application/x-mimearchive'];
+const MHTML_EXTENSIONS = ['mhtml', 'mht'];
+
+// One character per byte, so parts can be cut out before their own encoding is known
+function bytesToBinaryString(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+function binaryStringToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xFF;
+  return bytes;
+}
+
+// Header block -> { lower-cased name: value }; folded (indented) lines continue the previous header
+function parseMimeHeaders(block) {
+  const headers = {};
+  let lastName = null;
+  block.split(/\r?\n/).forEach(line => {
+    if (/^[ \t]/.test(line) && lastName) {
+      headers[lastName] += ' ' + line.trim();
+      return;
+    }
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+    lastName = line.substring(0, colon).trim().toLowerCase();
+    headers[lastName] = line.substring(colon + 1).trim();
+  });
+  return headers;
+}
+
+// A parameter of a header value, e.g. boundary in 'multipart/related; boundary="----abc"'
+function getMimeParameter(value, name) {
+  const match = (value || '').match(new RegExp(`;\\s*${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? (match[1] !== undefined ? match[1] : match[2]) : '';
+}
+
+// Splits a message (or part) into its headers and body at the first blank line
+function splitMimeEntity(entity) {
+  const match = entity.match(/\r?\n\r?\n/);
+  if (!match) return { headers: parseMimeHeaders(entity), body: '' };
+  return { headers: parseMimeHeaders(entity.substring(0, match.index)), body: entity.substring(match.index + match[0].length) };
+}
+
+function decodeMimeBody(body, transferEncoding) {
+  const encoding = (transferEncoding || '').toLowerCase();
+  if (encoding === 'base64') {
+    try { return binaryStringToBytes(atob(body.replace(/[^A-Za-z0-9+/=]/g, ''))); } catch (e) { return new Uint8Array(0); }
+  }
+  if (encoding === 'quoted-printable') {
+    return binaryStringToBytes(body.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+  return binaryStringToBytes(body);
+}
+
+function isMhtmlFile(mimeType, extension) {
+  return MHTML_MIME_TYPES.includes(mimeType) || MHTML_EXTENSIONS.includes(extension);
+}
+
+/**
+ * The saved page inside an MHTML archive.
+ * @param {Uint8Array} bytes  The archive file.
+ * @return {?{html: string, url: string, charset: string}} The first text/html part, decoded;
+ *   `url` is its Content-Location ('' if it has none). null if there is no HTML part.
+ */
+function extractMhtmlDocument(bytes) {
+  const message = splitMimeEntity(bytesToBinaryString(bytes));
+  const contentType = message.headers['content-type'] || '';
+  const boundary = getMimeParameter(contentType, 'boundary');
+  let parts;
+  if (boundary) {
+    // Parts sit between "--boundary" lines; the closing one is "--boundary--"
+    parts = message.body.split(`--${boundary}`).slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => splitMimeEntity(part.replace(/^\r?\n/, '')));
+  } else {
+    parts = [message];
+  }
+  const page = parts.find(part => /^text\/html\b/i.test(part.headers['content-type'] || ''));
+  if (!page) return null;
+  let charset = (getMimeParameter(page.headers['content-type'], 'charset') || 'utf-8').toLowerCase();
+  const body = decodeMimeBody(page.body.replace(/\r?\n$/, ''), page.headers['content-transfer-encoding']);
+  let decoder;
+  try { decoder = new TextDecoder(charset); } catch (e) { decoder = new TextDecoder('utf-8'); charset = 'utf-8'; }
+  const url = (page.headers['content-location'] || message.headers['snapshot-content-location'] || '').trim();
+  return { html: decoder.decode(body), url: /^https?:\/\//i.test(url) ? url : '', charset };
+}
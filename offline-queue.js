@@ -0,0 +1,117 @@
+// offline-queue.js - URLs shared while offline, fetched once the network is back
+//
+// Used by both the page and the service worker (sw.js loads it with
+// importScripts, after history.js for promisifyRequest/runInTransaction,
+// url-normalize.js for getResponseFinalUrl and response-decoding.js for
+// decodeResponse).
+// The page queues a URL together with the backend URLs to try, since the
+// worker can't read the backend settings in localStorage. The worker fetches
+// the raw HTML when Background Sync fires; the page runs Readability on it the
+// next time it is open, because workers have no DOMParser.
+
+const OFFLINE_QUEUE_DB_NAME = 'articleExtractorQueue';
+const OFFLINE_QUEUE_DB_VERSION = 1;
+const OFFLINE_QUEUE_STORE_NAME = 'queue';
+const OFFLINE_QUEUE_SYNC_TAG = 'extract-offline-queue';
+const OFFLINE_QUEUE_MAX_ATTEMPTS = 5;
+
+// Entry status: 'pending' (waiting for network) -> 'fetched' (HTML stored, ready to extract)
+// or 'failed' (gave up after OFFLINE_QUEUE_MAX_ATTEMPTS).
+
+let offlineQueueDbPromise = null;
+
+function openOfflineQueueDb() {
+  if (offlineQueueDbPromise) return offlineQueueDbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error("IndexedDB is not available."));
+  offlineQueueDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_QUEUE_DB_NAME, OFFLINE_QUEUE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OFFLINE_QUEUE_STORE_NAME)) {
+        const store = db.createObjectStore(OFFLINE_QUEUE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('url', 'url', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    offlineQueueDbPromise = null; // Allow a later retry
+    throw error;
+  });
+  return offlineQueueDbPromise;
+}
+
+async function withOfflineQueueStore(mode, callback) {
+  return runInTransaction(await openOfflineQueueDb(), OFFLINE_QUEUE_STORE_NAME, mode, callback);
+}
+
+/**
+ * Queues a URL for later. Queuing a URL that is already waiting just refreshes its backend list.
+ * @param {string}        url
+ * @param {Array<string>} fetchUrls  Backend URLs to try in order (see buildBackendUrl).
+ * @return {Promise<number>} The id of the queue entry.
+ */
+function queueOfflineUrl(url, fetchUrls) {
+  return withOfflineQueueStore('readwrite', async (store) => {
+    const existing = await promisifyRequest(store.index('url').get(url));
+    const entry = existing && existing.status === 'pending'
+      ? { ...existing, fetchUrls }
+      : { url, fetchUrls, status: 'pending', attempts: 0, createdAt: Date.now() };
+    return promisifyRequest(store.put(entry));
+  });
+}
+
+function getOfflineQueueEntries() {
+  return withOfflineQueueStore('readonly', store => promisifyRequest(store.getAll()));
+}
+
+function putOfflineQueueEntry(entry) {
+  return withOfflineQueueStore('readwrite', store => promisifyRequest(store.put(entry)));
+}
+
+function deleteOfflineQueueEntry(id) {
+  return withOfflineQueueStore('readwrite', store => promisifyRequest(store.delete(id)));
+}
+
+// Tries the entry's backend URLs in order and stores the first successful response body
+async function fetchOfflineQueueEntry(entry) {
+  let lastError = null;
+  for (const fetchUrl of entry.fetchUrls || []) {
+    try {
+      const response = await fetch(fetchUrl);
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      // pageUrl: where the page ended up after redirects, for resolving its relative links ('' if the backend doesn't
+      // say; the page then works it out from the HTML). html: the decoded body, which is plain text, Markdown or JSON
+      // when contentType says so; PDFs are stored as bytes.
+      const pageUrl = getResponseFinalUrl(response, entry.url);
+      const { text, bytes, contentType, mimeType } = await decodeResponse(response, pageUrl || entry.url);
+      if (!contentType) throw new Error(`Unsupported content type ${mimeType}`);
+      await putOfflineQueueEntry({ ...entry, status: 'fetched', html: text, bytes, contentType, pageUrl, fetchedAt: Date.now() });
+      return true;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  const attempts = (entry.attempts || 0) + 1;
+  await putOfflineQueueEntry({
+    ...entry,
+    attempts,
+    status: attempts >= OFFLINE_QUEUE_MAX_ATTEMPTS ? 'failed' : 'pending',
+    error: lastError ? lastError.message : "No fetch backend is enabled.",
+  });
+  return false;
+}
+
+/**
+ * Fetches every pending entry.
+ * @return {Promise<{fetched: number, pending: number}>} How many were fetched now and how many are still waiting.
+ */
+async function fetchPendingOfflineQueueEntries() {
+  const entries = (await getOfflineQueueEntries()).filter(entry => entry.status === 'pending');
+  let fetched = 0;
+  for (const entry of entries) {
+    if (await fetchOfflineQueueEntry(entry)) fetched++;
+  }
+  const pending = (await getOfflineQueueEntries()).filter(entry => entry.status === 'pending').length;
+  return { fetched, pending };
+}
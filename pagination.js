@@ -0,0 +1,162 @@
+// pagination.js - Multi-page article detection and stitching
+//
+// Finds the "next page" link of a paginated article (using Readability's
+// nextLink/prevLink patterns, in the spirit of Arc90's original findNextPageLink)
+// and merges the Readability results of all pages into a single article.
+// Requires readability.js to be loaded first.
+
+// Minimum score a link needs before it is treated as the next page
+const NEXT_PAGE_MIN_SCORE = 50;
+// Block elements compared across pages to drop repeated headers/bylines
+const PAGE_DEDUPE_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, figcaption, pre';
+
+function stripUrlHash(url) {
+  const hashIndex = url.indexOf('#');
+  return hashIndex === -1 ? url : url.substring(0, hashIndex);
+}
+
+// The article URL without page-number parts and file extension, used to check
+// that a candidate link points at another page of the same article.
+function getPaginationBaseUrl(pageUrl) {
+  const url = new URL(stripUrlHash(pageUrl));
+  ['page', 'p', 'pg', 'paged', 'pagenum', 'start'].forEach(param => url.searchParams.delete(param));
+  url.pathname = url.pathname
+    .replace(/\/(page|p)\/?\d+\/?$/i, '/')
+    .replace(/[-_/]\d{1,2}\/?$/, '')
+    .replace(/\.[a-z0-9]{2,5}$/i, '');
+  return (url.origin + url.pathname).replace(/\/+$/, '');
+}
+
+function getPageNumber(url) {
+  const queryMatch = url.match(/[?&](?:page|p|pg|paged|pagenum)=(\d+)/i);
+  if (queryMatch) return parseInt(queryMatch[1], 10);
+  const pathMatch = new URL(url).pathname.match(/(?:\/(?:page|p)\/?|[-_/])(\d{1,2})\/?(?:\.[a-z0-9]{2,5})?$/i);
+  return pathMatch ? parseInt(pathMatch[1], 10) : 1;
+}
+
+/**
+ * Finds the URL of the page following `pageUrl` in a paginated article.
+ * @param {Document} doc           The fetched (unmodified) document of the current page.
+ * @param {string}   pageUrl       URL of the current page (used to resolve relative links).
+ * @param {Set}      visitedUrls   URLs already fetched; these are never returned.
+ * @return {string|null} Absolute URL of the next page, or null if none was found.
+ */
+function findNextPageUrl(doc, pageUrl, visitedUrls) {
+  const REGEXPS = Readability.prototype.REGEXPS;
+  const currentUrl = stripUrlHash(pageUrl);
+  const currentHost = new URL(currentUrl).hostname;
+
+  const resolve = (href) => {
+    try {
+      const url = new URL(href, currentUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      const clean = stripUrlHash(url.href);
+      if (clean === currentUrl || visitedUrls.has(clean) || url.hostname !== currentHost) return null;
+      return clean;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // An explicit <link rel="next"> wins
+  const linkNext = Array.from(doc.querySelectorAll('link[rel][href]'))
+    .find(link => /(^|\s)next(\s|$)/i.test(link.getAttribute('rel')));
+  const linkNextUrl = linkNext && resolve(linkNext.getAttribute('href'));
+  if (linkNextUrl) return linkNextUrl;
+
+  const baseUrl = getPaginationBaseUrl(currentUrl);
+  const currentPageNumber = getPageNumber(currentUrl);
+  const scores = new Map();
+
+  doc.querySelectorAll('a[href]').forEach(link => {
+    const href = resolve(link.getAttribute('href'));
+    if (!href || !href.startsWith(baseUrl)) return;
+    // Whatever is left after the base URL must contain a page number
+    if (!/\d/.test(href.substring(baseUrl.length))) return;
+
+    const linkText = link.textContent.trim().replace(REGEXPS.normalize, ' ');
+    if (linkText.length > 25) return;
+
+    const linkData = `${linkText} ${link.className} ${link.id} ${link.getAttribute('rel') || ''} ${link.getAttribute('aria-label') || ''}`;
+    let score = scores.get(href) || 0;
+
+    if (/(^|\s)next(\s|$)/i.test(link.getAttribute('rel') || '')) score += 100;
+    if (REGEXPS.nextLink.test(linkData)) score += 50;
+    if (/pag(e|ing|inat)/i.test(`${link.className} ${link.id}`)) score += 25;
+    if (REGEXPS.extraneous.test(linkData)) score -= 25;
+    if (REGEXPS.prevLink.test(linkData) && !REGEXPS.nextLink.test(linkData)) score -= 200;
+    // "Next story"/"Next post" links lead to a different article, not the next page
+    if (/\b(story|article|post)\b/i.test(linkText)) score -= 100;
+
+    // Links inside a pagination container are good candidates
+    const parentData = link.parentElement ? `${link.parentElement.className} ${link.parentElement.id}` : '';
+    if (/pag(e|ing|inat)/i.test(parentData)) score += 25;
+
+    // Bare page numbers: the one right after the current page is the likely next page
+    const linkTextAsNumber = /^\d+$/.test(linkText) ? parseInt(linkText, 10) : NaN;
+    if (!isNaN(linkTextAsNumber)) {
+      if (linkTextAsNumber === currentPageNumber + 1) score += 50;
+      else if (linkTextAsNumber <= currentPageNumber) score -= 50;
+    } else if (getPageNumber(href) === currentPageNumber + 1) {
+      score += 10;
+    }
+
+    scores.set(href, score);
+  });
+
+  let best = null;
+  scores.forEach((score, href) => {
+    if (score >= NEXT_PAGE_MIN_SCORE && (!best || score > best.score)) best = { href, score };
+  });
+  if (best) console.log(`Next page candidate: ${best.href} (score ${best.score})`);
+  return best ? best.href : null;
+}
+
+function normalizeBlockText(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Merges the Readability results of consecutive pages into one article object.
+ * Blocks on later pages whose text already appeared on an earlier page (repeated
+ * title, byline, "continued from" headers...) are dropped.
+ * @param {Array<Object>} pages  Results of Readability#parse(), in page order.
+ * @return {Object} An article object shaped like Readability#parse()'s result.
+ */
+function mergeArticlePages(pages) {
+  if (pages.length === 1) return pages[0];
+  const parser = new DOMParser();
+  // Seed with the title so a repeated headline on later pages is dropped too
+  const seenBlocks = new Set([normalizeBlockText(pages[0].title || '')]);
+  const contents = [];
+  const texts = [];
+
+  pages.forEach((page, index) => {
+    // Parse into an inert document so nothing in the content loads or runs
+    const pageDoc = parser.parseFromString(page.content || '', 'text/html');
+    pageDoc.body.querySelectorAll(PAGE_DEDUPE_SELECTOR).forEach(block => {
+      const key = normalizeBlockText(block.textContent);
+      if (!key) return;
+      if (index > 0 && seenBlocks.has(key)) {
+        block.remove();
+      } else {
+        seenBlocks.add(key);
+      }
+    });
+    const pageRoot = pageDoc.body.firstElementChild;
+    if (pageRoot && pageRoot.id && pageRoot.id.startsWith('readability-page-')) {
+      pageRoot.id = `readability-page-${index + 1}`;
+    }
+    contents.push(pageDoc.body.innerHTML);
+    texts.push(pageDoc.body.textContent.trim());
+  });
+
+  const textContent = texts.filter(Boolean).join('\n\n');
+  return {
+    ...pages[0],
+    content: contents.join('\n'),
+    textContent,
+    length: textContent.length,
+    pageCount: pages.length,
+  };
+}
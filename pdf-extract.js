@@ -0,0 +1,233 @@
+// pdf-extract.js - Text of PDF papers and reports
+//
+// pdf.js (the bundled pdf.min.js, loaded on first use) gives positioned text
+// runs. They are grouped into lines, and lines that repeat at the top or bottom
+// of most pages (running headers and footers) or are page numbers are dropped.
+// The rest is rebuilt into paragraphs from line spacing and line lengths, with
+// lines set in a larger font becoming headings. Words hyphenated across lines
+// are joined again.
+
+const PDF_JS_SCRIPT_URL = 'pdf.min.js';
+const PDF_JS_WORKER_URL = 'pdf.worker.min.js';
+const PDF_MAX_PAGES = 300;
+const PDF_EDGE_LINES = 2; // Lines at the top and bottom of each page checked for running headers/footers
+const PDF_RUNNING_LINE_MIN_SHARE = 0.5; // Share of the pages a header/footer must repeat on
+const PDF_HEADING_MIN_SIZE_RATIO = 1.15; // Font size relative to the body text
+const PDF_HEADING_MAX_LENGTH = 200;
+const PDF_PARAGRAPH_GAP_RATIO = 1.4; // Vertical gap, relative to the usual line spacing, that starts a paragraph
+const PDF_SHORT_LINE_RATIO = 0.75; // Lines shorter than this share of the usual width can end a paragraph
+
+// Arabic numbers, or roman numerals up to 399 (front matter), so words like "mix" or "civil" aren't taken for one
+const PDF_PAGE_NUMBER_REGEX = /^[-–—(\s]*(page\s+|p\.\s*)?([0-9]+|(?=[ivxlc])c{0,3}(xc|xl|l?x{0,3})(ix|iv|v?i{0,3}))(\s*(of|\/)\s*[0-9]+)?[-–—)\s]*$/i;
+const PDF_LIST_ITEM_REGEX = /^([•◦▪‣●○■–—-]|\(?[0-9]{1,2}[.)]|\(?[a-z][.)])\s/i;
+// Document-info titles that are just the authoring tool's default
+const PDF_PLACEHOLDER_TITLE_REGEX = /^(untitled|microsoft (word|powerpoint) - |.*\.(docx?|pptx?|pdf|tex|dvi)$)/i;
+
+let pdfJsPromise = null;
+
+// Loads pdf.min.js once; it sets the pdfjsLib global
+function loadPdfJs() {
+  if (!pdfJsPromise) {
+    pdfJsPromise = new Promise((resolve, reject) => {
+      if (globalThis.pdfjsLib) { resolve(globalThis.pdfjsLib); return; }
+      const script = document.createElement('script');
+      script.src = PDF_JS_SCRIPT_URL;
+      script.onload = () => resolve(globalThis.pdfjsLib);
+      script.onerror = () => reject(new Error("Could not load the PDF reader."));
+      document.head.appendChild(script);
+    }).then(pdfjsLib => {
+      if (!pdfjsLib) throw new Error("The PDF reader did not load properly.");
+      pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_JS_WORKER_URL;
+      return pdfjsLib;
+    });
+    pdfJsPromise.catch(() => { pdfJsPromise = null; }); // Let a later PDF try again
+  }
+  return pdfJsPromise;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Groups a page's text runs (pdf.js getTextContent items) into lines.
+ * @param {Array<Object>} items  { str, transform, width, height, hasEOL }
+ * @param {number} pageNumber
+ * @return {Array<{text: string, x: number, y: number, width: number, size: number, page: number}>}
+ *   In content order; y grows upwards, as in PDF coordinates.
+ */
+function groupPdfTextLines(items, pageNumber) {
+  const lines = [];
+  let line = null;
+  let endX = 0;
+  let breakAfter = false;
+  items.forEach(item => {
+    if (!item.str) { if (item.hasEOL) breakAfter = true; return; }
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || item.height || 1;
+    if (!line || breakAfter || Math.abs(y - line.y) > size * 0.5 || x < endX - size) {
+      line = { text: '', x, y, width: 0, size, page: pageNumber };
+      lines.push(line);
+    } else if (x - endX > size * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(item.str)) {
+      line.text += ' '; // Runs are often positioned word by word without spaces
+    }
+    line.text += item.str;
+    line.size = Math.max(line.size, size);
+    endX = x + item.width;
+    line.width = endX - line.x;
+    breakAfter = !!item.hasEOL;
+  });
+  return lines
+    .map(candidate => ({ ...candidate, text: candidate.text.replace(/\s+/g, ' ').trim() }))
+    .filter(candidate => candidate.text);
+}
+
+// Page text repeated on many pages; numbers are ignored so "Chapter 2 · 14" matches "Chapter 2 · 15"
+function getRunningLineKey(text) {
+  return text.toLowerCase().replace(/[0-9]+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Drops running headers, running footers and page numbers.
+ * @param {Array<Array<Object>>} pages  The lines of each page (groupPdfTextLines).
+ * @return {Array<Array<Object>>}
+ */
+function removePdfPageFurniture(pages) {
+  const edgeLines = pages.map(lines => {
+    const byHeight = [...lines].sort((a, b) => b.y - a.y);
+    return new Set([...byHeight.slice(0, PDF_EDGE_LINES), ...byHeight.slice(-PDF_EDGE_LINES)]);
+  });
+  const pageCounts = new Map();
+  edgeLines.forEach(lines => {
+    new Set(Array.from(lines, line => getRunningLineKey(line.text))).forEach(key => pageCounts.set(key, (pageCounts.get(key) || 0) + 1));
+  });
+  const minPages = Math.max(2, Math.ceil(pages.length * PDF_RUNNING_LINE_MIN_SHARE));
+  return pages.map((lines, index) => lines.filter(line => {
+    if (!edgeLines[index].has(line)) return true;
+    return !PDF_PAGE_NUMBER_REGEX.test(line.text) && (pageCounts.get(getRunningLineKey(line.text)) || 0) < minPages;
+  }));
+}
+
+// Joins a paragraph's lines, undoing hyphenation at line ends
+function joinPdfLines(lines) {
+  return lines.reduce((text, line) => {
+    if (!text) return line.text;
+    if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(line.text)) return text.slice(0, -1) + line.text;
+    return `${text} ${line.text}`;
+  }, '');
+}
+
+/**
+ * Rebuilds headings and paragraphs from the lines of every page.
+ * @param {Array<Array<Object>>} pages  The lines of each page, furniture removed.
+ * @return {Array<{type: string, level: ?number, text: string}>} type is 'heading' (with level 1-3) or 'paragraph'.
+ */
+function buildPdfBlocks(pages) {
+  const lines = pages.flat();
+  if (lines.length === 0) return [];
+  // The body size is the one most of the text is set in
+  const charsBySize = new Map();
+  lines.forEach(line => {
+    const size = Math.round(line.size * 2) / 2;
+    charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.length);
+  });
+  const bodySize = Array.from(charsBySize.entries()).sort((a, b) => b[1] - a[1])[0][0];
+  const isHeadingLine = line => line.size >= bodySize * PDF_HEADING_MIN_SIZE_RATIO && line.text.length <= PDF_HEADING_MAX_LENGTH;
+  const bodyLines = lines.filter(line => !isHeadingLine(line));
+  const lineSpacing = median(bodyLines.slice(1).map((line, i) => bodyLines[i].page === line.page ? bodyLines[i].y - line.y : 0).filter(gap => gap > 0)) || bodySize * 1.2;
+  const lineWidth = median(bodyLines.map(line => line.width));
+
+  const groups = [];
+  let group = null;
+  lines.forEach((line, i) => {
+    const previous = lines[i - 1];
+    const heading = isHeadingLine(line);
+    let startsBlock = !group || heading !== group.heading;
+    if (!startsBlock && heading) startsBlock = Math.abs(line.size - group.lines[0].size) > 0.5 || line.page !== previous.page;
+    if (!startsBlock && !heading) {
+      const gap = previous.page === line.page ? previous.y - line.y : 0;
+      const previousEndsSentence = /[.!?:;"”’)]$/.test(previous.text);
+      startsBlock = gap > lineSpacing * PDF_PARAGRAPH_GAP_RATIO
+        || gap < 0 // Back up the page: the next column
+        || (previousEndsSentence && previous.width < lineWidth * PDF_SHORT_LINE_RATIO)
+        || PDF_LIST_ITEM_REGEX.test(line.text);
+    }
+    if (startsBlock) { group = { heading, lines: [] }; groups.push(group); }
+    group.lines.push(line);
+  });
+
+  // Larger headings get lower levels
+  const headingSizes = Array.from(new Set(groups.filter(g => g.heading).map(g => Math.round(g.lines[0].size * 2) / 2))).sort((a, b) => b - a);
+  return groups.map(g => (g.heading
+    ? { type: 'heading', level: Math.min(headingSizes.indexOf(Math.round(g.lines[0].size * 2) / 2) + 1, 3), text: joinPdfLines(g.lines) }
+    : { type: 'paragraph', level: null, text: joinPdfLines(g.lines) }));
+}
+
+// "D:20240131120000+01'00'" (PDF date) -> ISO 8601, '' if it can't be read
+function parsePdfDate(value) {
+  const match = (value || '').match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!match) return '';
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone = ''] = match;
+  const offset = zone && zone !== 'Z' ? `${zone.substring(0, 3)}:${zone.replace(/'/g, '').substring(3, 5) || '00'}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+/**
+ * Extracts the text of a PDF.
+ * @param {Uint8Array} bytes  The file; not modified.
+ * @return {Promise<{title: string, byline: string, publishedTime: string, lang: string,
+ *   blocks: Array<Object>, pageCount: number, truncated: boolean}>} See buildPdfBlocks for blocks.
+ * @throws {Error} If pdf.js can't load or read the file (damaged, password protected...).
+ */
+async function extractPdfArticle(bytes) {
+  const pdfjsLib = await loadPdfJs();
+  // pdf.js takes over the buffer it is given
+  const pdf = await pdfjsLib.getDocument({ data: bytes.slice(), isEvalSupported: false }).promise;
+  try {
+    const pageCount = Math.min(pdf.numPages, PDF_MAX_PAGES);
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(groupPdfTextLines(content.items, pageNumber));
+      page.cleanup();
+    }
+    const blocks = buildPdfBlocks(removePdfPageFurniture(pages));
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    const infoTitle = (info?.Title || '').trim();
+    const firstHeading = blocks.find(block => block.type === 'heading' && block.level === 1);
+    return {
+      title: infoTitle && !PDF_PLACEHOLDER_TITLE_REGEX.test(infoTitle) ? infoTitle : firstHeading?.text || '',
+      byline: (info?.Author || '').trim(),
+      publishedTime: parsePdfDate(info?.CreationDate),
+      lang: (info?.Language || '').trim(),
+      blocks,
+      pageCount: pdf.numPages,
+      truncated: pdf.numPages > PDF_MAX_PAGES,
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+/**
+ * The blocks as output text.
+ * @param {Array<Object>} blocks
+ * @param {string} format  'text' or 'markdown' (headings get #, ## or ###).
+ * @return {string}
+ */
+function formatPdfBlocks(blocks, format) {
+  return blocks
+    .map(block => (block.type === 'heading' && format === 'markdown' ? `${'#'.repeat(block.level)} ${block.text}` : block.text))
+    .join('\n\n');
+}
+
+// The blocks as article HTML, for the reader view and edit blocks
+function pdfBlocksToHtml(blocks) {
+  return blocks
+    .map(block => (block.type === 'heading' ? `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>` : `<p>${escapeHtml(block.text)}</p>`))
+    .join('\n');
+}
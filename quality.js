@@ -0,0 +1,116 @@
+// quality.js - Scoring of extraction candidates
+//
+// Each extraction strategy (Readability, the basic selector fallback, a site
+// rule's content selector...) produces a candidate. Candidates are scored on
+// text length, link density, paragraph count and how much of the page's meta
+// description they contain, the best one is used and the gap to the runner-up
+// gives the confidence shown to the user.
+
+// Weights of the 0..1 component scores; the description weight is dropped when the page has none
+const QUALITY_WEIGHTS = { length: 0.35, linkDensity: 0.25, paragraphs: 0.2, description: 0.2 };
+const QUALITY_FULL_LENGTH = 3000; // Characters at which the length score is 1
+const QUALITY_FULL_PARAGRAPHS = 6;
+const QUALITY_MIN_PARAGRAPH_LENGTH = 40;
+const QUALITY_MIN_TEXT_LENGTH = 50; // Shorter candidates are discarded
+const QUALITY_PREFERRED_PRIOR = 0.05; // Score bonus for Readability's result, so it wins near-ties
+
+// Confidence: the best score and its lead over the best different runner-up
+const QUALITY_CONFIDENCE_LEVELS = [
+  { level: 'high', minScore: 0.65, minLead: 0.15 },
+  { level: 'medium', minScore: 0.45, minLead: 0.05 },
+];
+// Runner-ups sharing this much of their vocabulary with the best candidate are the same content
+const QUALITY_SAME_CONTENT_SIMILARITY = 0.8;
+
+function getMetaDescription(doc) {
+  const meta = doc.querySelector('meta[name="description"], meta[property="og:description"], meta[name="twitter:description"]');
+  return meta ? (meta.getAttribute('content') || '').trim() : '';
+}
+
+function getSignificantWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []);
+}
+
+// Jaccard similarity of the two texts' significant words
+function getTextSimilarity(a, b) {
+  const wordsA = new Set(getSignificantWords(a));
+  const wordsB = new Set(getSignificantWords(b));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+  const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Measures a candidate's text (and HTML, when there is some).
+ * @param {{text: string, html: string}} candidate
+ * @param {string} description  The page's meta description.
+ * @return {{textLength: number, linkDensity: number, paragraphs: number, descriptionOverlap: ?number}}
+ *   `descriptionOverlap` is the share of the description's words found in the text, null without a description.
+ */
+function measureExtractionCandidate(candidate, description) {
+  const text = candidate.text.replace(/\s+/g, ' ').trim();
+  let linkDensity = 0;
+  let paragraphs;
+  if (candidate.html) {
+    const body = new DOMParser().parseFromString(candidate.html, 'text/html').body;
+    const bodyLength = body.textContent.replace(/\s+/g, ' ').trim().length;
+    const linkLength = Array.from(body.querySelectorAll('a')).reduce((total, link) => total + link.textContent.replace(/\s+/g, ' ').trim().length, 0);
+    linkDensity = bodyLength ? Math.min(linkLength / bodyLength, 1) : 0;
+    paragraphs = Array.from(body.querySelectorAll('p')).filter(p => p.textContent.trim().length >= QUALITY_MIN_PARAGRAPH_LENGTH).length;
+  } else {
+    paragraphs = candidate.text.split(/\n\s*\n/).filter(p => p.trim().length >= QUALITY_MIN_PARAGRAPH_LENGTH).length;
+  }
+
+  let descriptionOverlap = null;
+  const descriptionWords = Array.from(new Set(getSignificantWords(description)));
+  if (descriptionWords.length) {
+    const textWords = new Set(getSignificantWords(text));
+    descriptionOverlap = descriptionWords.filter(word => textWords.has(word)).length / descriptionWords.length;
+  }
+  return { textLength: text.length, linkDensity, paragraphs, descriptionOverlap };
+}
+
+// 0..1 quality score from the measurements
+function scoreExtractionMetrics(metrics) {
+  const components = {
+    length: Math.sqrt(Math.min(metrics.textLength / QUALITY_FULL_LENGTH, 1)),
+    linkDensity: 1 - Math.min(metrics.linkDensity * 2, 1), // Half links or more scores 0
+    paragraphs: Math.min(metrics.paragraphs / QUALITY_FULL_PARAGRAPHS, 1),
+  };
+  if (metrics.descriptionOverlap !== null) components.description = metrics.descriptionOverlap;
+  const totalWeight = Object.keys(components).reduce((total, key) => total + QUALITY_WEIGHTS[key], 0);
+  return Object.entries(components).reduce((total, [key, value]) => total + value * QUALITY_WEIGHTS[key], 0) / totalWeight;
+}
+
+/**
+ * Scores candidates and sorts them best first.
+ * @param {Array<Object>} candidates  { id, label, text, html, prior, ... }; `prior` (optional) is added
+ *   to the score so a preferred strategy wins near-ties. Other fields are passed through.
+ * @param {string} description  The page's meta description ('' if none).
+ * @return {{ranked: Array<Object>, confidence: ?{level: string, score: number}}} Candidates with
+ *   `metrics` and `score` added; too-short ones and duplicates of an earlier one are left out.
+ *   `confidence` is null without candidates.
+ */
+function rankExtractionCandidates(candidates, description) {
+  const seenTexts = new Set();
+  const ranked = candidates
+    .filter(candidate => {
+      const key = candidate.text.replace(/\s+/g, ' ').trim();
+      if (seenTexts.has(key)) return false;
+      seenTexts.add(key);
+      return true;
+    })
+    .map(candidate => {
+      const metrics = measureExtractionCandidate(candidate, description);
+      return { ...candidate, metrics, score: Math.min(scoreExtractionMetrics(metrics) + (candidate.prior || 0), 1) };
+    })
+    .filter(candidate => candidate.metrics.textLength >= QUALITY_MIN_TEXT_LENGTH)
+    .sort((a, b) => b.score - a.score); // Stable: equal scores keep the strategies' order
+  if (ranked.length === 0) return { ranked, confidence: null };
+
+  const best = ranked[0].score;
+  const runnerUp = ranked.slice(1).find(candidate => getTextSimilarity(candidate.text, ranked[0].text) < QUALITY_SAME_CONTENT_SIMILARITY);
+  const lead = runnerUp ? best - runnerUp.score : best;
+  const match = QUALITY_CONFIDENCE_LEVELS.find(({ minScore, minLead }) => best >= minScore && lead >= minLead);
+  return { ranked, confidence: { level: match ? match.level : 'low', score: best } };
+}
@@ -64,12 +64,18 @@ function Readability(doc, options) {
   this._disableJSONLD = !!options.disableJSONLD;
   this._allowedVideoRegex = options.allowedVideoRegex || this.REGEXPS.videos;
   this._linkDensityModifier = options.linkDensityModifier || 0;
+  // Called as inspector(event, data) at the points the extraction inspector reports on
+  this._inspector =
+    typeof options.inspector === "function" ? options.inspector : null;
 
-  // Start with all flags set
+  // Start with all flags set, unless the caller turned some heuristics off
+  // (options.flags: a combination of the FLAG_* values)
   this._flags =
-    this.FLAG_STRIP_UNLIKELYS |
-    this.FLAG_WEIGHT_CLASSES |
-    this.FLAG_CLEAN_CONDITIONALLY;
+    typeof options.flags === "number"
+      ? options.flags
+      : this.FLAG_STRIP_UNLIKELYS |
+        this.FLAG_WEIGHT_CLASSES |
+        this.FLAG_CLEAN_CONDITIONALLY;
 
   // Control whether log messages are sent to the console
   if (this._debug) {
@@ -273,6 +279,43 @@ Readability.prototype = {
     apos: "'",
   },
 
+  // Metadata fields besides title, byline, excerpt, siteName and publishedTime.
+  // Each is taken from the first of its `sources` that has a value:
+  // "jsonld:<property>" of the JSON-LD article, "meta:<key>" of a <meta>
+  // property/name/itemprop (dots read as colons) or "link:<rel>" of a <link>.
+  // `type` is "text", "url" (made absolute, http(s) only) or "list" (every
+  // value of the source, comma-separated ones split). Add entries to extract more.
+  EXTRA_METADATA_FIELDS: {
+    modifiedTime: {
+      type: "text",
+      sources: ["jsonld:dateModified", "meta:article:modified_time", "meta:og:updated_time", "meta:dcterms:modified", "meta:last-modified"],
+    },
+    section: {
+      type: "text",
+      sources: ["jsonld:articleSection", "meta:article:section", "meta:parsely-section"],
+    },
+    tags: {
+      type: "list",
+      sources: ["jsonld:keywords", "meta:article:tag", "meta:news_keywords", "meta:keywords", "meta:parsely-tags"],
+    },
+    canonicalUrl: {
+      type: "url",
+      sources: ["link:canonical", "meta:og:url", "jsonld:mainEntityOfPage", "jsonld:url"],
+    },
+    image: {
+      type: "url",
+      sources: ["meta:og:image", "meta:og:image:secure_url", "meta:og:image:url", "jsonld:image", "meta:twitter:image", "link:image_src"],
+    },
+    license: {
+      type: "text",
+      sources: ["jsonld:license", "link:license", "meta:dcterms:license", "meta:dc:rights", "meta:copyright"],
+    },
+    publisher: {
+      type: "text",
+      sources: ["jsonld:publisher", "meta:dc:publisher", "meta:dcterms:publisher", "meta:publisher"],
+    },
+  },
+
   /**
    * Run any post-process modifications to article content as necessary.
    *
@@ -1315,6 +1358,18 @@ Readability.prototype = {
         }
       }
 
+      if (this._inspector) {
+        this._inspect("candidates", {
+          flags: this._flags,
+          candidates: topCandidates.map(node => ({
+            node,
+            score: node.readability.contentScore,
+            classWeight: this._getClassWeight(node),
+            linkDensity: this._getLinkDensity(node),
+          })),
+        });
+      }
+
       var topCandidate = topCandidates[0] || null;
       var neededToCreateTopCandidate = false;
       var parentOfTopCandidate;
@@ -1422,6 +1477,14 @@ Readability.prototype = {
         }
       }
 
+      this._inspect("topCandidate", {
+        node: topCandidate,
+        score: topCandidate.readability
+          ? topCandidate.readability.contentScore
+          : 0,
+        createdFromBody: neededToCreateTopCandidate,
+      });
+
       // Now that we have the top candidate, look through its siblings for content
       // that might also be related. Things like preambles, content split by ads
       // that we removed, etc.
@@ -1553,6 +1616,10 @@ Readability.prototype = {
       // finding the content, and the sieve approach gives us a higher likelihood of
       // finding the -right- content.
       var textLength = this._getInnerText(articleContent, true).length;
+      this._inspect("textLength", {
+        textLength,
+        tooShort: textLength < this._charThreshold,
+      });
       if (textLength < this._charThreshold) {
         parseSuccessful = false;
         // eslint-disable-next-line no-unsanitized/property
@@ -1748,6 +1815,7 @@ Readability.prototype = {
           if (typeof parsed.datePublished === "string") {
             metadata.datePublished = parsed.datePublished.trim();
           }
+          metadata.extraValues = this._getJSONLDExtraValues(parsed);
         } catch (err) {
           this.log(err.message);
         }
@@ -1756,13 +1824,140 @@ Readability.prototype = {
     return metadata ? metadata : {};
   },
 
+  /**
+   * Collects the JSON-LD properties used as "jsonld:" sources in
+   * EXTRA_METADATA_FIELDS.
+   *
+   * @param {Object} parsed The JSON-LD article object.
+   * @return {Object} "jsonld:<property>" -> array of string values
+   */
+  _getJSONLDExtraValues(parsed) {
+    var values = {};
+    for (var field in this.EXTRA_METADATA_FIELDS) {
+      var spec = this.EXTRA_METADATA_FIELDS[field];
+      spec.sources.forEach(source => {
+        if (!source.startsWith("jsonld:")) {
+          return;
+        }
+        var found = this._flattenJSONLDValue(parsed[source.substring(7)], spec.type);
+        if (found.length) {
+          values[source] = found;
+        }
+      });
+    }
+    return values;
+  },
+
+  /**
+   * Strings of a JSON-LD value: arrays are flattened and objects (Person,
+   * Organization, ImageObject...) reduced to their name or URL.
+   *
+   * @param {*} value
+   * @param {string} type "url" prefers URLs over names.
+   * @return {string[]}
+   */
+  _flattenJSONLDValue(value, type) {
+    if (typeof value === "string") {
+      return value.trim() ? [value.trim()] : [];
+    }
+    if (typeof value === "number") {
+      return [String(value)];
+    }
+    if (Array.isArray(value)) {
+      return value.reduce((all, item) => all.concat(this._flattenJSONLDValue(item, type)), []);
+    }
+    if (value && typeof value === "object") {
+      var keys = type === "url" ? ["url", "contentUrl", "@id"] : ["name", "url", "@id"];
+      var key = keys.find(k => typeof value[k] === "string" && value[k].trim());
+      return key ? [value[key].trim()] : [];
+    }
+    return [];
+  },
+
+  /**
+   * Collects every <meta> content and <link> href by key, for the "meta:" and
+   * "link:" sources of EXTRA_METADATA_FIELDS.
+   *
+   * @return {Object} "meta:<key>" / "link:<rel>" -> array of values, in document order
+   */
+  _getMetaAndLinkValues() {
+    var values = {};
+    var add = function (key, value) {
+      if (value && value.trim()) {
+        (values[key] = values[key] || []).push(value.trim());
+      }
+    };
+    // property, name and rel can be space-separated lists
+    var keysOf = function (element, attribute) {
+      return (element.getAttribute(attribute) || "").toLowerCase().split(/\s+/).filter(Boolean);
+    };
+
+    this._forEachNode(this._doc.getElementsByTagName("meta"), function (element) {
+      var content = element.getAttribute("content");
+      ["property", "name", "itemprop"].forEach(function (attribute) {
+        keysOf(element, attribute).forEach(function (key) {
+          add("meta:" + key.replace(/\./g, ":"), content);
+        });
+      });
+    });
+    this._forEachNode(this._doc.getElementsByTagName("link"), function (element) {
+      keysOf(element, "rel").forEach(function (rel) {
+        add("link:" + rel, element.getAttribute("href"));
+      });
+    });
+    return values;
+  },
+
+  /**
+   * The value of an EXTRA_METADATA_FIELDS field from the collected source values.
+   *
+   * @param {Object} spec The field's entry.
+   * @param {Object} values Source key -> array of values.
+   * @return {string|string[]|null} An array for "list" fields (possibly empty), else a string or null.
+   */
+  _getExtraMetadataValue(spec, values) {
+    for (var i = 0; i < spec.sources.length; i++) {
+      var found = (values[spec.sources[i]] || []).map(value => this._unescapeHtmlEntities(value));
+      if (spec.type === "url") {
+        found = found
+          .map(value => {
+            try {
+              var url = new URL(value, this._doc.baseURI);
+              return /^https?:$/.test(url.protocol) ? url.href : null;
+            } catch (ex) {
+              return null;
+            }
+          })
+          .filter(Boolean);
+      }
+      if (!found.length) {
+        continue;
+      }
+      if (spec.type !== "list") {
+        return found[0];
+      }
+      var items = [];
+      found.forEach(value => {
+        value.split(",").forEach(item => {
+          item = item.trim();
+          if (item && !items.includes(item)) {
+            items.push(item);
+          }
+        });
+      });
+      return items;
+    }
+    return spec.type === "list" ? [] : null;
+  },
+
   /**
    * Attempts to get excerpt and byline metadata for the article.
    *
    * @param {Object} jsonld — object containing any metadata that
    * could be extracted from JSON-LD object.
    *
-   * @return Object with optional "excerpt" and "byline" properties
+   * @return Object with optional "excerpt" and "byline" properties, and
+   * one property per EXTRA_METADATA_FIELDS entry
    */
   _getArticleMetadata(jsonld) {
     var metadata = {};
@@ -1869,6 +2064,12 @@ Readability.prototype = {
     metadata.siteName = this._unescapeHtmlEntities(metadata.siteName);
     metadata.publishedTime = this._unescapeHtmlEntities(metadata.publishedTime);
 
+    // get the extra fields
+    var sourceValues = Object.assign({}, jsonld.extraValues, this._getMetaAndLinkValues());
+    for (var field in this.EXTRA_METADATA_FIELDS) {
+      metadata[field] = this._getExtraMetadataValue(this.EXTRA_METADATA_FIELDS[field], sourceValues);
+    }
+
     return metadata;
   },
 
@@ -2451,7 +2652,8 @@ Readability.prototype = {
     // without effecting the traversal.
     //
     // TODO: Consider taking into account original contentScore here.
-    this._removeNodes(this._getAllNodesWithTag(e, [tag]), function (node) {
+    // `reasons` collects why a node is removed, for the inspector.
+    var shouldClean = function (node, reasons) {
       // First check if this node IS data table, in which case don't remove it.
       var isDataTable = function (t) {
         return t._readabilityDataTable;
@@ -2497,6 +2699,7 @@ Readability.prototype = {
       var contentScore = 0;
 
       if (weight + contentScore < 0) {
+        reasons.push(`Negative class weight (weight=${weight})`);
         return true;
       }
 
@@ -2550,6 +2753,7 @@ Readability.prototype = {
           this.REGEXPS.adWords.test(innerText) ||
           this.REGEXPS.loadingWords.test(innerText)
         ) {
+          reasons.push("Only ad or loading words");
           return true;
         }
 
@@ -2612,6 +2816,7 @@ Readability.prototype = {
 
           if (errs.length) {
             this.log("Checks failed", errs);
+            reasons.push(...errs);
             return true;
           }
 
@@ -2626,6 +2831,9 @@ Readability.prototype = {
             let child = node.children[x];
             // Don't filter in lists with li's that contain more than one child
             if (child.children.length > 1) {
+              reasons.push(
+                `Not a simple image list: an item has ${child.children.length} children`
+              );
               return haveToRemove;
             }
           }
@@ -2634,10 +2842,22 @@ Readability.prototype = {
           if (img == li_count) {
             return false;
           }
+          reasons.push(
+            `Not a simple image list: not every li has an image (img=${img}, li=${li_count})`
+          );
         }
         return haveToRemove;
       }
       return false;
+    };
+
+    this._removeNodes(this._getAllNodesWithTag(e, [tag]), function (node) {
+      var reasons = [];
+      var remove = shouldClean.call(this, node, reasons);
+      if (remove) {
+        this._inspect("cleanConditionally", { node, tag, reasons });
+      }
+      return remove;
     });
   },
 
@@ -2697,7 +2917,14 @@ Readability.prototype = {
     return (this._flags & flag) > 0;
   },
 
+  _inspect(event, data) {
+    if (this._inspector) {
+      this._inspector(event, data);
+    }
+  },
+
   _removeFlag(flag) {
+    this._inspect("removeFlag", { flag });
     this._flags = this._flags & ~flag;
   },
 
@@ -2774,7 +3001,7 @@ Readability.prototype = {
     }
 
     var textContent = articleContent.textContent;
-    return {
+    var article = {
       title: this._articleTitle,
       byline: metadata.byline || this._articleByline,
       dir: this._articleDir,
@@ -2786,6 +3013,10 @@ Readability.prototype = {
       siteName: metadata.siteName || this._articleSiteName,
       publishedTime: metadata.publishedTime,
     };
+    for (var field in this.EXTRA_METADATA_FIELDS) {
+      article[field] = metadata[field];
+    }
+    return article;
   },
 };
 
@@ -0,0 +1,129 @@
+// reader.js - Rendered reader view of the extracted article
+//
+// Readability's `article.content` is HTML from a third-party page. Readability
+// drops scripts and styles but keeps attributes such as inline event handlers,
+// so the HTML is sanitized against an allowlist before it is shown.
+
+const READER_SETTINGS_STORAGE_KEY = 'articleExtractorReaderSettings';
+
+const READER_FONTS = {
+  serif: { label: 'Serif', css: 'Georgia, "Times New Roman", serif' },
+  sans: { label: 'Sans-serif', css: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif' },
+  mono: { label: 'Monospace', css: 'ui-monospace, "SF Mono", Menlo, Consolas, monospace' },
+};
+const READER_THEMES = { auto: 'Match app', light: 'Light', sepia: 'Sepia', dark: 'Dark' };
+const READER_FONT_SIZE_MIN = 12;
+const READER_FONT_SIZE_MAX = 28;
+
+// view: which output pane is shown, 'text' (prompt textarea) or 'reader'
+const DEFAULT_READER_SETTINGS = { view: 'text', fontSize: 18, font: 'serif', theme: 'auto' };
+
+const READER_ALLOWED_TAGS = new Set([
+  'A', 'ABBR', 'ADDRESS', 'ARTICLE', 'ASIDE', 'B', 'BLOCKQUOTE', 'BR', 'CAPTION', 'CITE', 'CODE', 'COL', 'COLGROUP',
+  'DD', 'DEL', 'DETAILS', 'DFN', 'DIV', 'DL', 'DT', 'EM', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4',
+  'H5', 'H6', 'HEADER', 'HR', 'I', 'IMG', 'INS', 'KBD', 'LI', 'MAIN', 'MARK', 'OL', 'P', 'PICTURE', 'PRE', 'Q', 'S',
+  'SAMP', 'SECTION', 'SMALL', 'SOURCE', 'SPAN', 'STRONG', 'SUB', 'SUMMARY', 'SUP', 'TABLE', 'TBODY', 'TD', 'TFOOT',
+  'TH', 'THEAD', 'TIME', 'TR', 'U', 'UL', 'VAR',
+]);
+// Removed together with their content; any other unknown element is unwrapped (content kept)
+const READER_DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'FORM', 'INPUT', 'BUTTON', 'SELECT', 'TEXTAREA', 'LINK', 'META', 'BASE', 'SVG', 'MATH', 'CANVAS', 'AUDIO', 'VIDEO']);
+const READER_ALLOWED_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'alt', 'title', 'colspan', 'rowspan', 'width', 'height', 'datetime', 'cite', 'lang', 'dir', 'start', 'type', 'media', 'sizes', 'open']);
+const READER_URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+const READER_SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+// Relative URLs are resolved against this, so they count as https: links
+const READER_URL_CHECK_BASE = 'https://reader.invalid/';
+
+// --- Reader Settings Storage ---
+function loadReaderSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(READER_SETTINGS_STORAGE_KEY) || 'null');
+    const settings = { ...DEFAULT_READER_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    if (!READER_FONTS[settings.font]) settings.font = DEFAULT_READER_SETTINGS.font;
+    if (!READER_THEMES[settings.theme]) settings.theme = DEFAULT_READER_SETTINGS.theme;
+    settings.fontSize = clampReaderFontSize(settings.fontSize);
+    return settings;
+  } catch (e) {
+    console.error("Could not load/parse reader settings from localStorage.", e);
+    return { ...DEFAULT_READER_SETTINGS };
+  }
+}
+
+function saveReaderSettings(settings) {
+  try {
+    localStorage.setItem(READER_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch (e) {
+    console.error("Could not save reader settings to localStorage.", e);
+    return false;
+  }
+}
+
+function clampReaderFontSize(size) {
+  const value = parseInt(size, 10);
+  if (isNaN(value)) return DEFAULT_READER_SETTINGS.fontSize;
+  return Math.min(Math.max(value, READER_FONT_SIZE_MIN), READER_FONT_SIZE_MAX);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// The scheme is judged from the parsed URL, as the browser would see it: it strips
+// tabs and newlines first, so "java\nscript:" is still javascript:
+function isSafeReaderUrl(value, attribute) {
+  let url;
+  try {
+    url = new URL(value, READER_URL_CHECK_BASE);
+  } catch (e) {
+    return false;
+  }
+  if (READER_SAFE_PROTOCOLS.has(url.protocol)) return true;
+  // Inline images are fine, anything else with a scheme (javascript:, data:text/html, ...) is not
+  return attribute === 'src' && /^data:image\/(png|gif|jpe?g|webp|avif);/i.test(url.href);
+}
+
+// srcset candidates are "URL [descriptor]", comma-separated; only http(s) and relative URLs pass
+function isSafeReaderSrcset(value) {
+  return value.split(',').every(candidate => {
+    const candidateUrl = candidate.trim().split(/\s+/)[0];
+    if (!candidateUrl) return true;
+    try {
+      return /^https?:$/.test(new URL(candidateUrl, READER_URL_CHECK_BASE).protocol);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Cleans article HTML for display in the page: allowlisted tags and attributes
+ * only, no scripting URLs, links open in a new tab, images load lazily.
+ * @param {string} html
+ * @return {string}
+ */
+function sanitizeArticleHtml(html) {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  const walk = (parent) => {
+    Array.from(parent.children).forEach(el => {
+      if (READER_DROPPED_TAGS.has(el.tagName.toUpperCase())) { el.remove(); return; }
+      walk(el);
+      if (!READER_ALLOWED_TAGS.has(el.tagName.toUpperCase())) { el.replaceWith(...el.childNodes); return; }
+      Array.from(el.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        if (!READER_ALLOWED_ATTRIBUTES.has(name)) el.removeAttribute(attr.name);
+        else if (READER_URL_ATTRIBUTES.has(name) && !isSafeReaderUrl(attr.value, name)) el.removeAttribute(attr.name);
+        else if (name === 'srcset' && !isSafeReaderSrcset(attr.value)) el.removeAttribute(attr.name);
+      });
+      if (el.tagName === 'A') { el.setAttribute('target', '_blank'); el.setAttribute('rel', 'noopener noreferrer'); }
+      if (el.tagName === 'IMG') { el.setAttribute('loading', 'lazy'); el.setAttribute('referrerpolicy', 'no-referrer'); }
+    });
+  };
+  walk(doc.body);
+  return doc.body.innerHTML;
+}
+
+// Plain text (fallback extraction, pasted text) as paragraphs, for the reader view
+function textToReaderHtml(text) {
+  return (text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)
+    .map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('\n');
+}
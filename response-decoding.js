@@ -0,0 +1,136 @@
+// response-decoding.js - Decoding fetched pages by charset and content type
+//
+// response.text() always decodes as UTF-8, which garbles pages served in
+// Shift_JIS, GBK, windows-1251, latin-1 and so on. The charset is taken from a
+// byte order mark, the Content-Type header or the page's own <meta charset> /
+// http-equiv declaration (in that order, as browsers do), and the bytes are
+// decoded with TextDecoder. The content type then decides how the page is
+// extracted: HTML goes through DOMParser and Readability, plain text,
+// Markdown and JSON are used as they are, and PDFs (recognized by type, or by
+// their signature when the type is generic) are kept as bytes for pdf-extract.js. MHTML archives are
+// unpacked to the HTML page inside (mhtml.js).
+// Also loaded by the service worker (sw.js) for the offline queue, so nothing
+// here may need a DOM. Needs url-normalize.js and mhtml.js.
+
+const DEFAULT_CHARSET = 'utf-8';
+const CHARSET_PRESCAN_BYTES = 1024; // How far into an HTML page a <meta charset> is looked for
+
+// Content types extraction handles; the values are labels for messages
+const PAGE_CONTENT_TYPES = { html: 'HTML', text: 'plain text', markdown: 'Markdown', json: 'JSON', pdf: 'PDF' };
+const PAGE_CONTENT_TYPES_BY_MIME = {
+  'text/html': 'html', 'application/xhtml+xml': 'html',
+  'text/plain': 'text',
+  'text/markdown': 'markdown', 'text/x-markdown': 'markdown',
+  'application/json': 'json', 'text/json': 'json',
+  'application/pdf': 'pdf', 'application/x-pdf': 'pdf',
+};
+const PAGE_CONTENT_TYPES_BY_EXTENSION = { html: 'html', htm: 'html', xhtml: 'html', txt: 'text', md: 'markdown', markdown: 'markdown', json: 'json' };
+// Types that say nothing about the content; the URL and the text decide
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Splits a Content-Type header value.
+ * @param {?string} value  e.g. "text/html; charset=Shift_JIS"
+ * @return {{mimeType: string, charset: string}} Lower-cased; '' for missing parts.
+ */
+function parseContentTypeHeader(value) {
+  const [mimeType, ...parameters] = (value || '').split(';');
+  const charsetParameter = parameters.map(parameter => parameter.trim().match(/^charset\s*=\s*["']?([^"';\s]+)/i)).find(Boolean);
+  return { mimeType: mimeType.trim().toLowerCase(), charset: charsetParameter ? charsetParameter[1].toLowerCase() : '' };
+}
+
+// The TextDecoder encoding name for a charset label, '' if TextDecoder doesn't know it
+function getSupportedCharset(label) {
+  if (!label) return '';
+  try { return new TextDecoder(label.trim()).encoding; } catch (e) { return ''; }
+}
+
+function getBomCharset(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  return '';
+}
+
+// The charset an HTML page declares in its first bytes (<meta charset>, http-equiv Content-Type or an XML declaration)
+function sniffDeclaredCharset(bytes) {
+  // Declarations are ASCII, which every charset worth sniffing for encodes the same way
+  const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, CHARSET_PRESCAN_BYTES));
+  const match = head.match(/^\s*<\?xml[^>]*\sencoding\s*=\s*["']([^"']+)/i) || head.match(/<meta\s[^>]*?charset\s*=\s*["']?\s*([^"'\s;/>]+)/i);
+  const charset = match ? getSupportedCharset(match[1]) : '';
+  // A page can't declare itself UTF-16 from inside bytes that were read as ASCII; browsers use UTF-8 then
+  return charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+// Whether the body starts with the "%PDF-x.y" signature (after an optional BOM and whitespace)
+function isPdfBytes(bytes) {
+  const head = new TextDecoder('windows-1252').decode(bytes.subarray(0, 64));
+  return /^(\u00EF\u00BB\u00BF)?\s*%PDF-\d\.\d/.test(head);
+}
+
+function getUrlPathExtension(url) {
+  try {
+    const match = new URL(url).pathname.toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Which kind of page this is, from the MIME type, then the URL's extension,
+ * then the text itself.
+ * @param {string} mimeType  From the Content-Type header ('' if none).
+ * @param {string} url       The page URL.
+ * @param {string} text      The decoded body.
+ * @return {string} A PAGE_CONTENT_TYPES key other than pdf (decodeResponse checks for PDFs first),
+ *   or '' for content that isn't text (images, audio...).
+ */
+function detectPageContentType(mimeType, url, text) {
+  const start = text.trimStart().substring(0, 2048);
+  const looksLikeHtml = /^<(!doctype\s+html|html|head|body)\b/i.test(start);
+  const byExtension = PAGE_CONTENT_TYPES_BY_EXTENSION[getUrlPathExtension(url)] || '';
+  const byMime = PAGE_CONTENT_TYPES_BY_MIME[mimeType] || (/\+json$/.test(mimeType) ? 'json' : '');
+  if (byMime === 'text') {
+    // Raw file hosts serve Markdown as text/plain, and some proxies label every page text/plain
+    if (byExtension === 'markdown') return 'markdown';
+    return looksLikeHtml ? 'html' : 'text';
+  }
+  if (byMime) return byMime;
+  if (!GENERIC_MIME_TYPES.includes(mimeType) && !mimeType.startsWith('text/')) return '';
+  if (byExtension) return byExtension;
+  if (/^[{[]/.test(start)) {
+    try { JSON.parse(text); return 'json'; } catch (e) { /* Not JSON after all */ }
+  }
+  return looksLikeHtml || /<(p|div|article|main)\b/i.test(start) ? 'html' : 'text';
+}
+
+/**
+ * Reads a response body with the right charset and works out what it is.
+ * @param {Response} response
+ * @param {string}   url  The page URL (after redirects), for its file extension.
+ * @return {Promise<{text: string, bytes: ?Uint8Array, contentType: string, mimeType: string, charset: string, savedUrl: string}>}
+ *   `contentType` is a PAGE_CONTENT_TYPES key, '' when the body is neither text nor a PDF.
+ *   PDFs have `bytes` and an empty `text`; other content has `bytes` null.
+ *   `savedUrl` is the URL a saved page says it came from (MHTML Content-Location, "saved from" comment), or ''.
+ */
+async function decodeResponse(response, url) {
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const header = parseContentTypeHeader(response.headers.get('Content-Type'));
+  // Servers and proxies often send PDFs as application/octet-stream or with no type; a
+  // specific type is trusted, so a page that merely mentions "%PDF-1.7" stays a page
+  const isPdf = PAGE_CONTENT_TYPES_BY_MIME[header.mimeType] === 'pdf' || (GENERIC_MIME_TYPES.includes(header.mimeType) && isPdfBytes(bytes));
+  if (isPdf) {
+    return { text: '', bytes, contentType: 'pdf', mimeType: header.mimeType, charset: '', savedUrl: '' };
+  }
+  if (isMhtmlFile(header.mimeType, getUrlPathExtension(url))) {
+    const archive = extractMhtmlDocument(bytes);
+    if (!archive) return { text: '', bytes: null, contentType: '', mimeType: header.mimeType, charset: '', savedUrl: '' };
+    return { text: archive.html, bytes: null, contentType: 'html', mimeType: header.mimeType, charset: archive.charset, savedUrl: archive.url };
+  }
+  const maybeHtml = !header.mimeType || GENERIC_MIME_TYPES.includes(header.mimeType) || PAGE_CONTENT_TYPES_BY_MIME[header.mimeType] === 'html' || header.mimeType === 'text/plain';
+  const charset = getBomCharset(bytes) || getSupportedCharset(header.charset) || (maybeHtml && sniffDeclaredCharset(bytes)) || DEFAULT_CHARSET;
+  const text = new TextDecoder(charset).decode(bytes); // Drops the BOM
+  const contentType = detectPageContentType(header.mimeType, url, text);
+  return { text, bytes: null, contentType, mimeType: header.mimeType, charset, savedUrl: contentType === 'html' ? getSavedPageUrl(text) : '' };
+}
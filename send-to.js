@@ -0,0 +1,103 @@
+// send-to.js - "Send to AI" targets and the optional OpenAI-compatible API mode
+//
+// Chat targets are opened in a new tab. Where a provider accepts the prompt in
+// the URL it is prefilled; otherwise (or when the prompt is too long for a URL)
+// the prompt is copied to the clipboard and the provider is opened to paste it.
+// API mode posts the prompt to a user-configured /chat/completions endpoint
+// (OpenAI, a local llama.cpp/Ollama/LM Studio server, ...) and returns the reply;
+// a prompt split into parts is sent part by part as one conversation.
+
+const API_SETTINGS_STORAGE_KEY = 'articleExtractorApiSettings';
+
+// `prefillUrl` contains {prompt}; targets without one are always copy-and-open
+const SEND_TO_TARGETS = {
+  chatgpt: { label: 'ChatGPT', openUrl: 'https://chatgpt.com/', prefillUrl: 'https://chatgpt.com/?q={prompt}' },
+  claude: { label: 'Claude', openUrl: 'https://claude.ai/new', prefillUrl: 'https://claude.ai/new?q={prompt}' },
+  gemini: { label: 'Gemini', openUrl: 'https://gemini.google.com/app', prefillUrl: null },
+  perplexity: { label: 'Perplexity', openUrl: 'https://www.perplexity.ai/', prefillUrl: 'https://www.perplexity.ai/search?q={prompt}' },
+  copilot: { label: 'Copilot', openUrl: 'https://copilot.microsoft.com/', prefillUrl: 'https://copilot.microsoft.com/?q={prompt}' },
+  lechat: { label: 'Le Chat', openUrl: 'https://chat.mistral.ai/chat', prefillUrl: 'https://chat.mistral.ai/chat?q={prompt}' },
+  grok: { label: 'Grok', openUrl: 'https://grok.com/', prefillUrl: 'https://grok.com/?q={prompt}' },
+  deepseek: { label: 'DeepSeek', openUrl: 'https://chat.deepseek.com/', prefillUrl: null },
+};
+
+// Longer URLs get truncated or rejected by browsers and provider front-ends
+const SEND_TO_MAX_PREFILL_URL_LENGTH = 8000;
+
+const DEFAULT_API_SETTINGS = { enabled: false, endpoint: 'http://localhost:11434/v1', apiKey: '', model: '' };
+
+/**
+ * Decides how to hand a prompt to a chat target.
+ * @param {string} targetId  Key of SEND_TO_TARGETS.
+ * @param {string} prompt
+ * @return {{url: string, prefilled: boolean}} `prefilled` false means: copy the prompt, then open `url`.
+ */
+function buildSendToUrl(targetId, prompt) {
+  const target = SEND_TO_TARGETS[targetId];
+  if (!target) throw new Error(`Unknown send-to target: ${targetId}`);
+  if (target.prefillUrl) {
+    const url = target.prefillUrl.replace('{prompt}', encodeURIComponent(prompt));
+    if (url.length <= SEND_TO_MAX_PREFILL_URL_LENGTH) return { url, prefilled: true };
+  }
+  return { url: target.openUrl, prefilled: false };
+}
+
+// --- API Settings Storage ---
+function loadApiSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(API_SETTINGS_STORAGE_KEY) || 'null');
+    return { ...DEFAULT_API_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (e) {
+    console.error("Could not load/parse API settings from localStorage.", e);
+    return { ...DEFAULT_API_SETTINGS };
+  }
+}
+
+function saveApiSettings(settings) {
+  try {
+    localStorage.setItem(API_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    console.log("Saved API settings to localStorage");
+    return true;
+  } catch (e) {
+    console.error("Could not save API settings to localStorage.", e);
+    return false;
+  }
+}
+
+function isApiModeReady(settings) {
+  return !!(settings.enabled && settings.endpoint.trim() && settings.model.trim());
+}
+
+// Accepts a base URL (".../v1") or the full ".../chat/completions" URL
+function buildChatCompletionsUrl(endpoint) {
+  const trimmed = endpoint.trim().replace(/\/+$/, '');
+  return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+}
+
+/**
+ * Sends a conversation to an OpenAI-compatible chat endpoint.
+ * @param {Object}        settings  { endpoint, apiKey, model }
+ * @param {Array<Object>} messages  { role: 'user' | 'assistant', content }, oldest first.
+ * @param {AbortSignal}   [signal]
+ * @return {Promise<string>} The assistant's reply to the last message.
+ */
+async function sendMessagesToApi(settings, messages, signal) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+  const response = await fetch(buildChatCompletionsUrl(settings.endpoint), {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: settings.model.trim(), messages }),
+    signal,
+  });
+
+  let body = null;
+  try { body = await response.json(); } catch (e) { /* Non-JSON error page, reported below */ }
+  if (!response.ok) {
+    const detail = body?.error?.message || body?.error || response.statusText;
+    throw new Error(`API request failed: ${response.status} ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+  }
+  const reply = body?.choices?.[0]?.message?.content;
+  if (typeof reply !== 'string') throw new Error("API response had no message content.");
+  return reply;
+}
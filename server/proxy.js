@@ -0,0 +1,340 @@
+// server/proxy.js - Self-hostable fetch proxy for Article Extractor
+//
+// Speaks the same contract as the public CORS proxies the app uses:
+//   GET /?url=<encoded target URL>   (also /raw?url=..., like allorigins)
+// and returns the target's raw body with CORS headers added.
+//
+// No dependencies, only Node's standard library. Run with:
+//   node server/proxy.js
+// Configuration (environment variables):
+//   PORT           Port to listen on (default 8787)
+//   HOST           Interface to bind (default 127.0.0.1, this machine only)
+//   ALLOWED_HOSTS  Comma-separated hostnames that may be fetched; "*.example.com"
+//                  also matches subdomains. Empty = any public host. Private,
+//                  loopback and link-local addresses are refused unless their
+//                  hostname is listed here.
+//   ALLOW_ORIGIN   Required. Comma-separated origins allowed to read responses,
+//                  e.g. "https://vansio3.github.io" ("*" allows any website)
+//   MAX_BYTES      Maximum (decompressed) response size in bytes (default 5 MB)
+//   MAX_REDIRECTS  Redirects to follow before giving up (default 5)
+//   TIMEOUT_MS     Upstream timeout, for the response headers and again for
+//                  reading the body (default 15000)
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
+
+const DEFAULT_OPTIONS = {
+  port: 8787,
+  host: '127.0.0.1',
+  allowedHosts: [],
+  allowedOrigins: [],
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  timeoutMs: 15000,
+};
+
+// Request headers passed through to the target site
+const FORWARDED_REQUEST_HEADERS = ['accept', 'accept-language', 'user-agent', 'if-none-match', 'if-modified-since'];
+// Response headers passed back to the app
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'content-language', 'last-modified', 'etag', 'cache-control'];
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; ArticleExtractorProxy/1.0)';
+
+// Addresses that aren't on the public internet: fetching them would let any
+// website the user visits read their intranet through the proxy
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+  }
+}
+
+function optionsFromEnv(env) {
+  const options = {};
+  if (env.PORT) options.port = parseInt(env.PORT, 10);
+  if (env.HOST) options.host = env.HOST;
+  if (env.ALLOWED_HOSTS) options.allowedHosts = splitList(env.ALLOWED_HOSTS);
+  if (env.ALLOW_ORIGIN) options.allowedOrigins = splitList(env.ALLOW_ORIGIN);
+  if (env.MAX_BYTES) options.maxBytes = parseInt(env.MAX_BYTES, 10);
+  if (env.MAX_REDIRECTS) options.maxRedirects = parseInt(env.MAX_REDIRECTS, 10);
+  if (env.TIMEOUT_MS) options.timeoutMs = parseInt(env.TIMEOUT_MS, 10);
+  return options;
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Whether the hostname matches an ALLOWED_HOSTS entry (never true for an empty list)
+function isHostListed(hostname, allowedHosts) {
+  if (!allowedHosts) return false;
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, ''); // IPv6 literals may be listed with or without brackets
+  return allowedHosts.some(pattern => {
+    const p = pattern.toLowerCase().replace(/^\[|\]$/g, '');
+    if (p.startsWith('*.')) {
+      const base = p.slice(2);
+      return host === base || host.endsWith('.' + base);
+    }
+    return host === p;
+  });
+}
+
+function isHostAllowed(hostname, allowedHosts) {
+  return !allowedHosts || allowedHosts.length === 0 || isHostListed(hostname, allowedHosts);
+}
+
+// The eight 16-bit groups of an IPv6 address (which may end in dotted IPv4)
+function getIpv6Groups(address) {
+  const halves = address.split('%')[0].split('::').map(half => (half ? half.split(':') : []).flatMap(part => {
+    if (!part.includes('.')) return [parseInt(part, 16)];
+    const bytes = part.split('.').map(Number);
+    return [(bytes[0] << 8) | bytes[1], (bytes[2] << 8) | bytes[3]];
+  }));
+  if (halves.length === 1) return halves[0];
+  return [...halves[0], ...new Array(8 - halves[0].length - halves[1].length).fill(0), ...halves[1]];
+}
+
+// The IPv4 address a NAT64 (64:ff9b::/96) or 6to4 (2002::/16) address
+// reaches, or '' for other IPv6 addresses
+function getEmbeddedIpv4(address) {
+  const groups = getIpv6Groups(address);
+  let high, low;
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) [high, low] = groups.slice(6);
+  else if (groups[0] === 0x2002) [high, low] = groups.slice(1, 3);
+  else return '';
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  if (family === 4) return PRIVATE_ADDRESSES.check(address, 'ipv4');
+  const embedded = getEmbeddedIpv4(address);
+  return PRIVATE_ADDRESSES.check(address, 'ipv6') || (embedded !== '' && PRIVATE_ADDRESSES.check(embedded, 'ipv4'));
+}
+
+// dns.lookup for upstream requests that refuses names resolving to private
+// addresses, unless the name is listed. Handles both the single-address and
+// the `all: true` callback forms.
+function createGuardedLookup(allowedHosts) {
+  return (hostname, lookupOptions, callback) => {
+    dns.lookup(hostname, lookupOptions, (error, address, family) => {
+      if (error || isHostListed(hostname, allowedHosts)) {
+        callback(error, address, family);
+        return;
+      }
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      const privateAddress = addresses.find(isPrivateAddress);
+      if (privateAddress) {
+        callback(new ProxyError(403, `Host not allowed: ${hostname} resolves to private address ${privateAddress}`));
+        return;
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+function parseTargetUrl(rawUrl, allowedHosts) {
+  if (!rawUrl) throw new ProxyError(400, 'Missing "url" query parameter.');
+  let target;
+  try {
+    target = new URL(rawUrl);
+  } catch (e) {
+    throw new ProxyError(400, 'Invalid "url" query parameter.');
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new ProxyError(400, `Unsupported protocol: ${target.protocol}`);
+  }
+  if (!isHostAllowed(target.hostname, allowedHosts)) {
+    throw new ProxyError(403, `Host not allowed: ${target.hostname}`);
+  }
+  // IP literals never reach the lookup, so they are checked here; names are checked once resolved
+  const address = target.hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateAddress(address) && !isHostListed(target.hostname, allowedHosts)) {
+    throw new ProxyError(403, `Host not allowed: ${target.hostname} is a private address`);
+  }
+  return target;
+}
+
+// Single upstream request (no redirect handling). Resolves with the raw IncomingMessage.
+function requestUpstream(target, headers, options, agents) {
+  const { timeoutMs } = options;
+  return new Promise((resolve, reject) => {
+    const client = target.protocol === 'https:' ? https : http;
+    const agent = agents[target.protocol];
+    const req = client.get(target, { headers, agent, lookup: createGuardedLookup(options.allowedHosts) }, resolve);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new ProxyError(504, `Upstream timed out after ${timeoutMs} ms.`));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Follows redirects (re-checking the allowlist on every hop). Resolves with { response, finalUrl }.
+async function fetchFollowingRedirects(target, headers, options, agents) {
+  let current = target;
+  for (let hop = 0; hop <= options.maxRedirects; hop++) {
+    const response = await requestUpstream(current, headers, options, agents);
+    const isRedirect = response.statusCode >= 300 && response.statusCode < 400 && response.headers.location;
+    if (!isRedirect) return { response, finalUrl: current.href };
+    response.resume(); // Discard redirect body
+    const next = new URL(response.headers.location, current);
+    current = parseTargetUrl(next.href, options.allowedHosts);
+  }
+  throw new ProxyError(508, `Too many redirects (limit ${options.maxRedirects}).`);
+}
+
+// The decompression stage for the response's Content-Encoding, or none
+function createDecoder(response) {
+  switch ((response.headers['content-encoding'] || '').toLowerCase()) {
+    case 'gzip': case 'x-gzip': return zlib.createGunzip();
+    case 'deflate': return zlib.createInflate();
+    case 'br': return zlib.createBrotliDecompress();
+    default: return null;
+  }
+}
+
+// Reads the (decompressed) body, failing once it exceeds maxBytes or takes longer than timeoutMs.
+// pipeline() passes an upstream reset on to every stage, so a broken body always settles.
+async function readBody(response, options) {
+  const { maxBytes, timeoutMs } = options;
+  const declared = parseInt(response.headers['content-length'], 10);
+  if (!response.headers['content-encoding'] && declared > maxBytes) {
+    response.destroy();
+    throw new ProxyError(413, `Response too large (${declared} bytes, limit ${maxBytes}).`);
+  }
+  const chunks = [];
+  let size = 0;
+  const collector = new Writable({
+    write(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(new ProxyError(413, `Response too large (limit ${maxBytes} bytes).`));
+        return;
+      }
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  const timer = setTimeout(() => {
+    response.destroy(new ProxyError(504, `Upstream body timed out after ${timeoutMs} ms.`));
+  }, timeoutMs);
+  try {
+    const decoder = createDecoder(response);
+    await (decoder ? pipeline(response, decoder, collector) : pipeline(response, collector));
+  } finally {
+    clearTimeout(timer);
+  }
+  return Buffer.concat(chunks);
+}
+
+// CORS headers for a request from `origin`; other origins get none, so browsers won't let them read the response
+function corsHeaders(options, origin) {
+  const headers = {
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Accept, Accept-Language',
+    'Access-Control-Expose-Headers': 'Content-Type, Content-Language, Last-Modified, ETag, X-Final-URL',
+  };
+  if (options.allowedOrigins.includes('*')) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  } else {
+    headers['Vary'] = 'Origin';
+    if (origin && options.allowedOrigins.includes(origin)) headers['Access-Control-Allow-Origin'] = origin;
+  }
+  return headers;
+}
+
+function sendError(res, options, error) {
+  const status = error instanceof ProxyError ? error.status : 502;
+  const message = error instanceof ProxyError ? error.message : `Upstream fetch failed: ${error.message}`;
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.writeHead(status, { ...corsHeaders(options, res.req.headers.origin), 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(message);
+}
+
+function createProxyServer(userOptions = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...userOptions };
+  if (!options.allowedOrigins || options.allowedOrigins.length === 0) {
+    throw new Error('No allowed origins: set ALLOW_ORIGIN to the origin the app is served from (e.g. https://vansio3.github.io).');
+  }
+  // Own connection pools: a kept-alive socket skips the lookup, so sharing Node's
+  // global agents would let one server reuse a connection another was allowed to open
+  const agents = { 'http:': new http.Agent({ keepAlive: true }), 'https:': new https.Agent({ keepAlive: true }) };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders(options, req.headers.origin));
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendError(res, options, new ProxyError(405, 'Only GET is supported.'));
+      return;
+    }
+
+    const requestUrl = new URL(req.url, 'http://localhost');
+    if (requestUrl.pathname !== '/' && requestUrl.pathname !== '/raw') {
+      sendError(res, options, new ProxyError(404, 'Not found. Use /?url=<encoded URL>.'));
+      return;
+    }
+
+    try {
+      const target = parseTargetUrl(requestUrl.searchParams.get('url'), options.allowedHosts);
+      const headers = { 'accept-encoding': 'gzip, deflate, br', 'user-agent': DEFAULT_USER_AGENT };
+      FORWARDED_REQUEST_HEADERS.forEach(name => {
+        if (req.headers[name]) headers[name] = req.headers[name];
+      });
+
+      const { response, finalUrl } = await fetchFollowingRedirects(target, headers, options, agents);
+      const body = await readBody(response, options);
+
+      const outHeaders = { ...corsHeaders(options, req.headers.origin), 'X-Final-URL': finalUrl, 'Content-Length': body.length };
+      FORWARDED_RESPONSE_HEADERS.forEach(name => {
+        if (response.headers[name]) outHeaders[name] = response.headers[name];
+      });
+      res.writeHead(response.statusCode, outHeaders);
+      res.end(body);
+      console.log(`[Proxy] ${response.statusCode} ${target.href}${finalUrl !== target.href ? ' -> ' + finalUrl : ''} (${body.length} bytes)`);
+    } catch (error) {
+      console.error('[Proxy] Error:', error.message);
+      sendError(res, options, error);
+    }
+  });
+  server.on('close', () => Object.values(agents).forEach(agent => agent.destroy()));
+  return server;
+}
+
+module.exports = { createProxyServer, isHostAllowed, isPrivateAddress, parseTargetUrl, ProxyError, DEFAULT_OPTIONS };
+
+if (require.main === module) {
+  const options = { ...DEFAULT_OPTIONS, ...optionsFromEnv(process.env) };
+  let server;
+  try {
+    server = createProxyServer(options);
+  } catch (error) {
+    console.error(`[Proxy] ${error.message}`);
+    process.exit(1);
+  }
+  server.listen(options.port, options.host, () => {
+    console.log(`[Proxy] Listening on http://${options.host}:${options.port}/?url=`);
+    console.log(`[Proxy] Allowed hosts: ${options.allowedHosts.length ? options.allowedHosts.join(', ') : 'any public host'}`);
+    console.log(`[Proxy] Allowed origins: ${options.allowedOrigins.join(', ')}`);
+  });
+}
@@ -0,0 +1,101 @@
+// server/test/fixture-server.js - Local pages for trying the proxy offline
+//
+// Serves a handful of fixed responses covering what the proxy has to cope
+// with: a plain article, redirects, compressed bodies, an oversized page and
+// bodies that break off or stall. Used by proxy.test.js, and can be run on its
+// own to try the proxy by hand:
+//   node server/test/fixture-server.js   (listens on 127.0.0.1:8000)
+
+const http = require('http');
+const zlib = require('zlib');
+
+const ARTICLE_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Fixture Article</title></head>
+<body><article><h1>Fixture Article</h1><p>This page is served by the proxy's fixture server.</p></article></body>
+</html>
+`;
+const LARGE_BODY_BYTES = 256 * 1024;
+
+// path -> (req, res) handler
+const ROUTES = {
+  '/article.html': (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Language': 'en',
+      'X-Fixture-Secret': 'not forwarded',
+    });
+    res.end(ARTICLE_HTML);
+  },
+  // Echoes the request headers the proxy sent, to check forwarding
+  '/headers': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(req.headers));
+  },
+  '/redirect': (req, res) => {
+    res.writeHead(302, { Location: '/redirect-relative' });
+    res.end('Moved');
+  },
+  '/redirect-relative': (req, res) => {
+    res.writeHead(301, { Location: 'article.html' });
+    res.end();
+  },
+  '/redirect-loop': (req, res) => {
+    res.writeHead(302, { Location: '/redirect-loop' });
+    res.end();
+  },
+  // Redirects to whatever ?to= says, e.g. a host the proxy must refuse
+  '/redirect-to': (req, res) => {
+    res.writeHead(302, { Location: new URL(req.url, 'http://localhost').searchParams.get('to') });
+    res.end();
+  },
+  '/gzip': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Encoding': 'gzip' });
+    res.end(zlib.gzipSync(ARTICLE_HTML));
+  },
+  '/brotli': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Encoding': 'br' });
+    res.end(zlib.brotliCompressSync(ARTICLE_HTML));
+  },
+  '/large': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': LARGE_BODY_BYTES });
+    res.end(Buffer.alloc(LARGE_BODY_BYTES, 'a'));
+  },
+  // Small on the wire, large once decompressed, so Content-Length can't give it away
+  '/large-gzip': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Encoding': 'gzip' });
+    res.end(zlib.gzipSync(Buffer.alloc(LARGE_BODY_BYTES, 'a')));
+  },
+  // Sends half a gzip body, then resets the connection
+  '/gzip-reset': (req, res) => {
+    const body = zlib.gzipSync(Buffer.alloc(LARGE_BODY_BYTES, 'a'));
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Encoding': 'gzip', 'Content-Length': body.length });
+    res.write(body.subarray(0, body.length >> 1), () => res.socket.destroy());
+  },
+  // Sends the headers and the start of the body, then nothing
+  '/stall': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.write('<!DOCTYPE html><p>Waiting');
+  },
+};
+
+function createFixtureServer() {
+  return http.createServer((req, res) => {
+    const route = ROUTES[new URL(req.url, 'http://localhost').pathname];
+    if (route) {
+      route(req, res);
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+}
+
+module.exports = { createFixtureServer, ARTICLE_HTML, LARGE_BODY_BYTES };
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || 8000;
+  createFixtureServer().listen(port, '127.0.0.1', () => {
+    console.log(`[Fixture] Serving ${Object.keys(ROUTES).join(', ')} on http://127.0.0.1:${port}`);
+  });
+}
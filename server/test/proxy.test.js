@@ -0,0 +1,176 @@
+// server/test/proxy.test.js - Proxy tests against the local fixture server
+//
+// Runs offline: both servers listen on 127.0.0.1 on free ports.
+//   node --test server/test/   (or `npm test` in server/)
+
+const assert = require('assert');
+const { after, before, describe, test } = require('node:test');
+const { createProxyServer, isPrivateAddress } = require('../proxy.js');
+const { createFixtureServer, ARTICLE_HTML } = require('./fixture-server.js');
+
+const APP_ORIGIN = 'https://app.example';
+const MAX_BYTES = 64 * 1024;
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+}
+
+describe('proxy', () => {
+  let fixture, fixtureUrl;
+  const proxies = [];
+
+  // Starts a proxy with test defaults; the fixture is on loopback, so it must be listed
+  async function startProxy(options = {}) {
+    const proxy = createProxyServer({ allowedHosts: ['127.0.0.1'], allowedOrigins: [APP_ORIGIN], maxBytes: MAX_BYTES, timeoutMs: 2000, ...options });
+    proxies.push(proxy);
+    const proxyUrl = await listen(proxy);
+    return (targetUrl, headers = {}) => fetch(`${proxyUrl}/?url=${encodeURIComponent(targetUrl)}`, { headers: { Origin: APP_ORIGIN, ...headers } });
+  }
+
+  let fetchViaProxy;
+  before(async () => {
+    fixture = createFixtureServer();
+    fixtureUrl = await listen(fixture);
+    fetchViaProxy = await startProxy();
+  });
+
+  after(async () => {
+    await Promise.all(proxies.map(close));
+    await close(fixture);
+  });
+
+  describe('passthrough', () => {
+    test('returns the body with allowed response headers and CORS', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/article.html`);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(await response.text(), ARTICLE_HTML);
+      assert.strictEqual(response.headers.get('content-type'), 'text/html; charset=utf-8');
+      assert.strictEqual(response.headers.get('content-language'), 'en');
+      assert.strictEqual(response.headers.get('x-fixture-secret'), null);
+      assert.strictEqual(response.headers.get('access-control-allow-origin'), APP_ORIGIN);
+      assert.strictEqual(response.headers.get('x-final-url'), `${fixtureUrl}/article.html`);
+    });
+
+    test('passes the upstream status through', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/missing`);
+      assert.strictEqual(response.status, 404);
+    });
+
+    test('forwards Accept-Language and User-Agent', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/headers`, { 'Accept-Language': 'de-DE', 'User-Agent': 'FixtureBrowser/1.0' });
+      const headers = await response.json();
+      assert.strictEqual(headers['accept-language'], 'de-DE');
+      assert.strictEqual(headers['user-agent'], 'FixtureBrowser/1.0');
+    });
+
+    test('decompresses gzip and brotli bodies', async () => {
+      for (const path of ['/gzip', '/brotli']) {
+        const response = await fetchViaProxy(`${fixtureUrl}${path}`);
+        assert.strictEqual(await response.text(), ARTICLE_HTML, path);
+      }
+    });
+
+    test('does not let other origins read responses', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/article.html`, { Origin: 'https://evil.example' });
+      assert.strictEqual(response.headers.get('access-control-allow-origin'), null);
+      await response.arrayBuffer();
+    });
+
+    test('answers preflight requests', async () => {
+      const response = await fetch(`${fixtureUrl.replace(/:\d+$/, '')}:${proxies[0].address().port}/`, { method: 'OPTIONS', headers: { Origin: APP_ORIGIN } });
+      assert.strictEqual(response.status, 204);
+      assert.strictEqual(response.headers.get('access-control-allow-origin'), APP_ORIGIN);
+    });
+
+    test('rejects a bad or missing url parameter', async () => {
+      assert.strictEqual((await fetchViaProxy('not a url')).status, 400);
+      assert.strictEqual((await fetchViaProxy('ftp://127.0.0.1/file')).status, 400);
+    });
+  });
+
+  describe('redirects', () => {
+    test('follows absolute and relative redirects and reports the final URL', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/redirect`);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(await response.text(), ARTICLE_HTML);
+      assert.strictEqual(response.headers.get('x-final-url'), `${fixtureUrl}/article.html`);
+    });
+
+    test('gives up after maxRedirects', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/redirect-loop`);
+      assert.strictEqual(response.status, 508);
+    });
+  });
+
+  describe('size limit', () => {
+    test('refuses a body whose Content-Length is over the limit', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/large`);
+      assert.strictEqual(response.status, 413);
+    });
+
+    test('refuses a compressed body once it decompresses past the limit', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/large-gzip`);
+      assert.strictEqual(response.status, 413);
+    });
+  });
+
+  describe('broken bodies', () => {
+    test('fails instead of hanging when a gzip body is reset', async () => {
+      const response = await fetchViaProxy(`${fixtureUrl}/gzip-reset`);
+      assert.strictEqual(response.status, 502);
+    });
+
+    test('times out a body that stalls', async () => {
+      const fetchWithShortTimeout = await startProxy({ timeoutMs: 300 });
+      const response = await fetchWithShortTimeout(`${fixtureUrl}/stall`);
+      assert.strictEqual(response.status, 504);
+    });
+  });
+
+  describe('allowlist', () => {
+    test('refuses hosts that are not listed', async () => {
+      const fetchListed = await startProxy({ allowedHosts: ['wiki.example.com'] });
+      const response = await fetchListed(`${fixtureUrl}/article.html`);
+      assert.strictEqual(response.status, 403);
+    });
+
+    test('matches subdomains with a *. pattern', async () => {
+      const fetchWildcard = await startProxy({ allowedHosts: ['*.localhost', '127.0.0.1'] });
+      const port = new URL(fixtureUrl).port;
+      // Resolves to loopback; allowed because the name is listed
+      const response = await fetchWildcard(`http://localhost:${port}/article.html`);
+      assert.strictEqual(response.status, 200);
+      await response.arrayBuffer();
+    });
+
+    test('refuses private and loopback targets that are not listed', async () => {
+      const fetchPublicOnly = await startProxy({ allowedHosts: [] });
+      const port = new URL(fixtureUrl).port;
+      for (const url of [`${fixtureUrl}/article.html`, `http://localhost:${port}/article.html`, `http://[::1]:${port}/`, 'http://10.0.0.1/']) {
+        assert.strictEqual((await fetchPublicOnly(url)).status, 403, url);
+      }
+    });
+
+    test('re-checks the allowlist on every redirect', async () => {
+      const fetchListed = await startProxy({ allowedHosts: ['127.0.0.1'] });
+      const response = await fetchListed(`${fixtureUrl}/redirect-to?to=${encodeURIComponent('http://wiki.example.com/')}`);
+      assert.strictEqual(response.status, 403);
+    });
+
+    test('recognizes private addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '::1', 'fd00::1', 'fe80::1', '::ffff:192.168.0.1',
+        '64:ff9b::7f00:1', '64:ff9b::10.0.0.1', '2002:7f00:1::1', '2002:a9fe:a9fe::']
+        .forEach(address => assert.ok(isPrivateAddress(address), address));
+      ['8.8.8.8', '1.1.1.1', '2606:4700::1111', '64:ff9b::808:808', '2002:808:808::1'].forEach(address => assert.ok(!isPrivateAddress(address), address));
+    });
+
+    test('will not start without allowed origins', () => {
+      assert.throws(() => createProxyServer({ allowedOrigins: [] }), /ALLOW_ORIGIN/);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+// shared-files.js - Files shared to the app
+//
+// The manifest's share target POSTs shares as multipart form data to
+// SHARE_TARGET_PATH. The service worker (sw.js) can't extract the files (no
+// DOM), so it stores them here and redirects to the app with the share's id in
+// `?shared=`; title, text and URL travel as query parameters, as they did with
+// the GET share target. The page takes the files out and extracts them.
+// Used by both the page and the service worker, after history.js.
+
+const SHARED_FILES_DB_NAME = 'articleExtractorSharedFiles';
+const SHARED_FILES_DB_VERSION = 1;
+const SHARED_FILES_STORE_NAME = 'shares';
+const SHARE_TARGET_PATH = '/ArticleScraper/share-target';
+const SHARED_FILES_MAX_COUNT = 10;
+
+let sharedFilesDbPromise = null;
+
+function openSharedFilesDb() {
+  if (sharedFilesDbPromise) return sharedFilesDbPromise;
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error("IndexedDB is not available."));
+  sharedFilesDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(SHARED_FILES_DB_NAME, SHARED_FILES_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SHARED_FILES_STORE_NAME)) {
+        db.createObjectStore(SHARED_FILES_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    sharedFilesDbPromise = null; // Allow a later retry
+    throw error;
+  });
+  return sharedFilesDbPromise;
+}
+
+async function withSharedFilesStore(mode, callback) {
+  return runInTransaction(await openSharedFilesDb(), SHARED_FILES_STORE_NAME, mode, callback);
+}
+
+/**
+ * Keeps shared files until the page takes them. Only the latest share is kept:
+ * one that was never opened is dropped by the next.
+ * @param {File[]} files
+ * @return {Promise<number>} The share's id.
+ */
+function storeSharedFiles(files) {
+  return withSharedFilesStore('readwrite', async (store) => {
+    await promisifyRequest(store.clear());
+    return promisifyRequest(store.add({ files: files.slice(0, SHARED_FILES_MAX_COUNT), createdAt: Date.now() }));
+  });
+}
+
+/**
+ * Removes a share's files and returns them.
+ * @param {number} id
+ * @return {Promise<File[]>} Empty if the share is gone (already taken, or replaced by a newer one).
+ */
+function takeSharedFiles(id) {
+  return withSharedFilesStore('readwrite', async (store) => {
+    const share = await promisifyRequest(store.get(id));
+    if (!share) return [];
+    await promisifyRequest(store.delete(id));
+    return share.files;
+  });
+}
@@ -0,0 +1,225 @@
+// site-rules.js - Per-site extraction rules
+//
+// A rule applies to a domain and its subdomains (the most specific domain wins).
+// Before Readability runs, `stripSelectors` are removed from the page and, if
+// `contentSelector` matches, the body is reduced to the matching elements.
+// Readability then runs with the rule's option overrides. Afterwards
+// `titleSelector` replaces the title, and the blocks remembered in edit mode
+// (`excludedBlocks`, see editor.js) are removed.
+
+const SITE_RULES_STORAGE_KEY = 'articleExtractorSiteRules';
+const SITE_RULES_EXPORT_VERSION = 1;
+
+// Readability heuristics that can be switched off per site (Readability's FLAG_* values)
+const READABILITY_FLAG_OPTIONS = {
+  stripUnlikelys: { label: 'Strip unlikely candidates', flag: 0x1 },
+  weightClasses: { label: 'Weight classes and ids', flag: 0x2 },
+  cleanConditionally: { label: 'Clean conditionally', flag: 0x4 },
+};
+
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function normalizeSiteDomain(domain) {
+  return String(domain || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '').replace(/[/:?#].*$/, '').replace(/^www\./, '').replace(/^\*\./, '');
+}
+
+function toPositiveIntOrNull(value) {
+  const number = parseInt(value, 10);
+  return isNaN(number) || number <= 0 ? null : number;
+}
+
+/**
+ * Fills in defaults and drops anything malformed (used for storage and imports).
+ * Invalid selectors are dropped rather than failing the whole rule.
+ * @param {Object} raw
+ * @return {Object} A complete rule.
+ */
+function normalizeSiteRule(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const readability = source.readability && typeof source.readability === 'object' ? source.readability : {};
+  const selector = value => (typeof value === 'string' && value.trim() && isValidSelector(value.trim()) ? value.trim() : '');
+  const rule = {
+    contentSelector: selector(source.contentSelector),
+    stripSelectors: (Array.isArray(source.stripSelectors) ? source.stripSelectors : []).map(selector).filter(Boolean),
+    titleSelector: selector(source.titleSelector),
+    readability: {
+      charThreshold: toPositiveIntOrNull(readability.charThreshold),
+      nbTopCandidates: toPositiveIntOrNull(readability.nbTopCandidates),
+      classesToPreserve: (Array.isArray(readability.classesToPreserve) ? readability.classesToPreserve : [])
+        .map(name => String(name).trim()).filter(name => /^[\w-]+$/.test(name)),
+      keepClasses: !!readability.keepClasses,
+      disableJSONLD: !!readability.disableJSONLD,
+    },
+    excludedBlocks: (Array.isArray(source.excludedBlocks) ? source.excludedBlocks : [])
+      .filter(block => block && /^[A-Za-z][A-Za-z0-9]*$/.test(block.tag) && typeof block.text === 'string' && block.text)
+      .map(block => ({ tag: block.tag.toUpperCase(), text: block.text })),
+  };
+  Object.keys(READABILITY_FLAG_OPTIONS).forEach(key => { rule.readability[key] = readability[key] !== false; });
+  return rule;
+}
+
+// --- Site Rules Storage ---
+// { domain: rule }
+function loadSiteRules() {
+  let stored = {};
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SITE_RULES_STORAGE_KEY) || '{}');
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) stored = parsed;
+  } catch (e) {
+    console.error("Could not load/parse site rules from localStorage.", e);
+  }
+  const rules = {};
+  Object.entries(stored).forEach(([domain, rule]) => {
+    const normalizedDomain = normalizeSiteDomain(domain);
+    if (normalizedDomain) rules[normalizedDomain] = normalizeSiteRule(rule);
+  });
+  return rules;
+}
+
+function saveSiteRules(rules) {
+  try {
+    localStorage.setItem(SITE_RULES_STORAGE_KEY, JSON.stringify(rules));
+    console.log("Saved site rules to localStorage");
+    return true;
+  } catch (e) {
+    console.error("Could not save site rules to localStorage.", e);
+    return false;
+  }
+}
+
+/**
+ * The rule for a hostname: an exact domain match, else the closest parent domain.
+ * @param {string} hostname
+ * @param {Object} [rules]  Defaults to the stored rules.
+ * @return {?{domain: string, rule: Object}}
+ */
+function findSiteRule(hostname, rules = loadSiteRules()) {
+  let domain = normalizeSiteDomain(hostname);
+  while (domain) {
+    if (rules[domain]) return { domain, rule: rules[domain] };
+    const dot = domain.indexOf('.');
+    if (dot === -1) break;
+    domain = domain.substring(dot + 1);
+  }
+  return null;
+}
+
+function hasReadabilityOverrides(rule) {
+  const r = rule.readability;
+  return !!(r.charThreshold || r.nbTopCandidates || r.classesToPreserve.length || r.keepClasses || r.disableJSONLD ||
+    Object.keys(READABILITY_FLAG_OPTIONS).some(key => !r[key]));
+}
+
+// Short description for the rule list in Settings
+function describeSiteRule(rule) {
+  const parts = [];
+  if (rule.contentSelector) parts.push(`content: ${rule.contentSelector}`);
+  if (rule.stripSelectors.length) parts.push(`strip ${rule.stripSelectors.length}`);
+  if (rule.titleSelector) parts.push(`title: ${rule.titleSelector}`);
+  if (hasReadabilityOverrides(rule)) parts.push('Readability options');
+  if (rule.excludedBlocks.length) parts.push(`${rule.excludedBlocks.length} excluded block${rule.excludedBlocks.length === 1 ? '' : 's'}`);
+  return parts.join(' · ') || 'No changes';
+}
+
+// --- Applying Rules ---
+
+/**
+ * Readability constructor options with the rule's overrides applied.
+ * @param {?Object} rule
+ * @param {Object}  baseOptions  Options used for every page (e.g. the serializer).
+ * @return {Object}
+ */
+function buildReadabilityOptions(rule, baseOptions = {}) {
+  if (!rule) return { ...baseOptions };
+  const r = rule.readability;
+  const options = { ...baseOptions };
+  if (r.charThreshold) options.charThreshold = r.charThreshold;
+  if (r.nbTopCandidates) options.nbTopCandidates = r.nbTopCandidates;
+  if (r.classesToPreserve.length) options.classesToPreserve = r.classesToPreserve;
+  if (r.keepClasses) options.keepClasses = true;
+  if (r.disableJSONLD) options.disableJSONLD = true;
+  options.flags = Object.entries(READABILITY_FLAG_OPTIONS).reduce((flags, [key, { flag }]) => (r[key] ? flags | flag : flags), 0);
+  return options;
+}
+
+/**
+ * Applies the "before parsing" part of a rule to a document (modified in place).
+ * @param {Document} doc  A copy of the page, as handed to Readability.
+ * @param {Object}   rule
+ * @return {boolean} Whether the content selector matched.
+ */
+function prepareDocumentForRule(doc, rule) {
+  rule.stripSelectors.forEach(selector => doc.querySelectorAll(selector).forEach(el => el.remove()));
+  if (!rule.contentSelector || !doc.body) return false;
+  const matches = Array.from(doc.querySelectorAll(rule.contentSelector))
+    .filter((el, i, all) => !all.some(other => other !== el && other.contains(el))); // Outermost matches only
+  if (matches.length === 0) {
+    console.warn(`Site rule content selector "${rule.contentSelector}" matched nothing, using the whole page.`);
+    return false;
+  }
+  const container = doc.createElement('article');
+  matches.forEach(el => container.appendChild(el));
+  doc.body.replaceChildren(container);
+  return true;
+}
+
+/**
+ * Applies the "after parsing" part of a rule to a Readability result.
+ * @param {?Object}  article   Result of Readability#parse().
+ * @param {Object}   rule
+ * @param {Document} doc       The original page, for the title selector.
+ * @return {?Object} The updated article.
+ */
+function applySiteRuleToArticle(article, rule, doc) {
+  if (!article) return article;
+  let result = article;
+  if (rule.titleSelector) {
+    const titleElement = doc.querySelector(rule.titleSelector);
+    const title = titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '';
+    if (title) result = { ...result, title };
+  }
+  if (rule.stripSelectors.length && result.content) {
+    // Selectors using ids/tags still match after Readability's cleanup (classes are usually gone)
+    const contentDoc = new DOMParser().parseFromString(result.content, 'text/html');
+    let removed = 0;
+    rule.stripSelectors.forEach(selector => contentDoc.body.querySelectorAll(selector).forEach(el => { el.remove(); removed++; }));
+    if (removed) {
+      const textContent = contentDoc.body.textContent;
+      result = { ...result, content: contentDoc.body.innerHTML, textContent, length: textContent.length };
+    }
+  }
+  return result;
+}
+
+// --- Import / Export ---
+function exportSiteRules(rules = loadSiteRules()) {
+  return JSON.stringify({ version: SITE_RULES_EXPORT_VERSION, rules }, null, 2);
+}
+
+/**
+ * Parses exported rules (or a bare { domain: rule } object).
+ * @param {string} json
+ * @return {Object} { domain: rule } with every rule normalized.
+ * @throws {Error} If the JSON can't be parsed or contains no rules.
+ */
+function parseSiteRulesImport(json) {
+  let parsed;
+  try { parsed = JSON.parse(json); } catch (e) { throw new Error("The file is not valid JSON."); }
+  const source = parsed && typeof parsed === 'object' && parsed.rules && typeof parsed.rules === 'object' ? parsed.rules : parsed;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) throw new Error("No site rules found in the file.");
+  const rules = {};
+  Object.entries(source).forEach(([domain, rule]) => {
+    const normalizedDomain = normalizeSiteDomain(domain);
+    if (normalizedDomain && rule && typeof rule === 'object') rules[normalizedDomain] = normalizeSiteRule(rule);
+  });
+  if (Object.keys(rules).length === 0) throw new Error("No site rules found in the file.");
+  return rules;
+}
@@ -1,10 +1,35 @@
-// sw.js - Basic Caching Service Worker
+// sw.js - Basic Caching Service Worker (+ offline extraction queue)
 
-const CACHE_NAME = 'article-extractor-cache-v1'; // Change version if you update assets
+importScripts('/ArticleScraper/history.js', '/ArticleScraper/url-normalize.js', '/ArticleScraper/mhtml.js', '/ArticleScraper/response-decoding.js', '/ArticleScraper/offline-queue.js', '/ArticleScraper/shared-files.js');
+
+const CACHE_NAME = 'article-extractor-cache-v35'; // Change version if you update assets
 const urlsToCache = [
   '/ArticleScraper/', // Cache the main page (relative to origin)
   '/ArticleScraper/index.html', // Explicitly cache index.html
   '/ArticleScraper/readability.js', // Cache local JS file
+  '/ArticleScraper/fetch-backends.js',
+  '/ArticleScraper/pagination.js',
+  '/ArticleScraper/batch.js',
+  '/ArticleScraper/history.js',
+  '/ArticleScraper/markdown.js',
+  '/ArticleScraper/templates.js',
+  '/ArticleScraper/tokens.js',
+  '/ArticleScraper/offline-queue.js',
+  '/ArticleScraper/send-to.js',
+  '/ArticleScraper/reader.js',
+  '/ArticleScraper/site-rules.js',
+  '/ArticleScraper/editor.js',
+  '/ArticleScraper/inspector.js',
+  '/ArticleScraper/quality.js',
+  '/ArticleScraper/images.js',
+  '/ArticleScraper/metadata-header.js',
+  '/ArticleScraper/url-normalize.js',
+  '/ArticleScraper/response-decoding.js',
+  '/ArticleScraper/pdf-extract.js',
+  '/ArticleScraper/pdf.min.js', // Bundled pdf.js, loaded when a PDF is opened
+  '/ArticleScraper/pdf.worker.min.js',
+  '/ArticleScraper/shared-files.js',
+  '/ArticleScraper/mhtml.js',
   // Add paths to your icons if desired (relative to origin)
   '/ArticleScraper/icons/android-chrome-192x192.png',
   '/ArticleScraper/icons/android-chrome-512x512.png',
@@ -56,6 +81,12 @@ self.addEventListener('activate', (event) => {
 
 // Fetch event: serve cached assets first, then network (Cache-first strategy)
 self.addEventListener('fetch', (event) => {
+  // Share target (manifest.json): shares arrive as a multipart POST
+  if (event.request.method === 'POST' && new URL(event.request.url).pathname === SHARE_TARGET_PATH) {
+    event.respondWith(handleShareTargetPost(event.request));
+    return;
+  }
+
   // Only handle GET requests
   if (event.request.method !== 'GET') {
     return;
@@ -101,4 +132,76 @@ self.addEventListener('fetch', (event) => {
         });
       })
     );
-});
\ No newline at end of file
+});
+
+// --- Share Target ---
+// Stores shared files for the page (shared-files.js) and redirects to it with the title, text and URL
+async function handleShareTargetPost(request) {
+  const params = new URLSearchParams();
+  try {
+    const formData = await request.formData();
+    ['title', 'text', 'url'].forEach((name) => {
+      const value = formData.get(name);
+      if (typeof value === 'string' && value) params.set(name, value);
+    });
+    const files = formData.getAll('files').filter(file => typeof file !== 'string' && file.size > 0);
+    if (files.length > 0) {
+      console.log(`[Service Worker] Received ${files.length} shared file(s).`);
+      params.set('shared', await storeSharedFiles(files));
+    }
+  } catch (error) {
+    console.error('[Service Worker] Could not receive the share:', error);
+    params.set('share-error', error.message || 'unknown error');
+  }
+  return Response.redirect(`/ArticleScraper/?${params}`, 303);
+}
+
+// --- Offline Extraction Queue ---
+// Background Sync: fetch the HTML of URLs queued while offline. The page extracts it.
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OFFLINE_QUEUE_SYNC_TAG) return;
+  console.log('[Service Worker] Background sync: fetching queued URLs...');
+  event.waitUntil(
+    fetchPendingOfflineQueueEntries().then(async ({ fetched, pending }) => {
+      console.log(`[Service Worker] Fetched ${fetched} queued URL(s), ${pending} still pending.`);
+      if (fetched > 0) await announceOfflineQueueReady();
+      // Rejecting makes the browser retry the sync later
+      if (pending > 0) throw new Error(`${pending} queued URL(s) could not be fetched yet.`);
+    })
+  );
+});
+
+// Badge + notification (only when no window is visible) + a message to open pages
+async function announceOfflineQueueReady() {
+  const ready = (await getOfflineQueueEntries()).filter(entry => entry.status === 'fetched').length;
+  if (ready === 0) return;
+  if (self.navigator.setAppBadge) {
+    self.navigator.setAppBadge(ready).catch(error => console.warn('[Service Worker] Could not set badge:', error));
+  }
+  const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  windowClients.forEach(client => client.postMessage({ type: 'offline-queue-ready', count: ready }));
+  if (windowClients.some(client => client.visibilityState === 'visible')) return;
+  if (self.Notification && Notification.permission === 'granted') {
+    await self.registration.showNotification('Queued articles ready', {
+      body: `${ready} article${ready === 1 ? '' : 's'} shared while offline ${ready === 1 ? 'is' : 'are'} ready to read.`,
+      icon: '/ArticleScraper/icons/android-chrome-192x192.png',
+      tag: 'offline-queue',
+      data: { url: '/ArticleScraper/?queue=ready' },
+    });
+  }
+}
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const targetUrl = (event.notification.data && event.notification.data.url) || '/ArticleScraper/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+      const client = windowClients.find(c => new URL(c.url).pathname.startsWith('/ArticleScraper/'));
+      if (client) {
+        client.postMessage({ type: 'offline-queue-ready', openHistory: true });
+        return client.focus();
+      }
+      return self.clients.openWindow(targetUrl);
+    })
+  );
+});
@@ -0,0 +1,57 @@
+// templates.js - Prompt template variables for prefixes
+//
+// Prefixes may reference article metadata with {{variable}} placeholders, and
+// {{date}} for today's date (YYYY-MM-DD, local time).
+// If a prefix contains {{content}} the article is inserted at that spot;
+// otherwise the article is appended after the prefix, as before.
+
+const PROMPT_TEMPLATE_VARIABLES = [
+  'title', 'url', 'siteName', 'byline', 'publishedTime', 'modifiedTime', 'section', 'tags', 'canonicalUrl', 'image', 'license', 'publisher',
+  'excerpt', 'wordCount', 'date', 'content',
+];
+const TEMPLATE_VARIABLE_REGEX = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+
+function countWords(text) {
+  return ((text || '').match(/\S+/g) || []).length;
+}
+
+// YYYY-MM-DD in local time, for {{date}}
+function formatTemplateDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Names of all placeholders used in a template, in order, without duplicates
+function findTemplateVariables(template) {
+  const names = [];
+  for (const match of (template || '').matchAll(TEMPLATE_VARIABLE_REGEX)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+function findUnknownTemplateVariables(template) {
+  return findTemplateVariables(template).filter(name => !PROMPT_TEMPLATE_VARIABLES.includes(name));
+}
+
+/**
+ * Builds the final prompt from a prefix template and the article.
+ * Unknown placeholders are left untouched; known ones without a value become empty.
+ * @param {string} template  The prefix, possibly containing {{variables}}.
+ * @param {Object} values    Metadata values; `content` is the extracted text, `date`
+ *   a Date or timestamp for {{date}} (default: now).
+ * @return {string}
+ */
+function renderPromptTemplate(template, values) {
+  const content = values.content || '';
+  const allValues = { ...values, wordCount: values.wordCount ?? countWords(content), date: formatTemplateDate(new Date(values.date ?? Date.now())) };
+  const hasContentSlot = findTemplateVariables(template).includes('content');
+  const rendered = (template || '').replace(TEMPLATE_VARIABLE_REGEX, (placeholder, name) => {
+    if (!PROMPT_TEMPLATE_VARIABLES.includes(name)) return placeholder;
+    const value = allValues[name];
+    if (Array.isArray(value)) return value.join(', ');
+    return value === undefined || value === null ? '' : String(value);
+  });
+  if (hasContentSlot) return rendered;
+  return rendered.trimEnd() + (rendered ? "\n\n" : "") + content;
+}
@@ -0,0 +1,155 @@
+// test/pdf-extract.test.js - PDF text rebuilding (pdf-extract.js)
+//
+// pdf-extract.js is a classic browser script, so it is run in this process's
+// global scope, with the bundled pdf.js and its worker for the full path
+// (pdf.js runs its worker on the main thread when the worker script has
+// already been loaded).
+//   node --test test/
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { describe, test } = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+const runScript = file => vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+
+globalThis.escapeHtml = text => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+runScript('pdf.min.js');
+runScript('pdf.worker.min.js');
+// Top-level consts of a script aren't globals; hand out what the tests use
+runScript('pdf-extract.js');
+const pdf = vm.runInThisContext(`({
+  PDF_PAGE_NUMBER_REGEX, groupPdfTextLines, removePdfPageFurniture, joinPdfLines, buildPdfBlocks, parsePdfDate,
+  extractPdfArticle, formatPdfBlocks,
+})`);
+
+// A pdf.js text item: `size` point text at (x, y), about half an em wide per character
+function textItem(str, x, y, size = 10, hasEOL = false) {
+  return { str, transform: [size, 0, 0, size, x, y], width: str.length * size * 0.5, height: size, hasEOL };
+}
+
+// A line as groupPdfTextLines returns it
+function textLine(text, y, page, size = 10, width = 400) {
+  return { text, x: 72, y, width, size, page };
+}
+
+describe('groupPdfTextLines', () => {
+  test('joins runs on one baseline and separates words positioned apart', () => {
+    const lines = pdf.groupPdfTextLines([textItem('Hello', 72, 700), textItem('world', 102, 700), textItem('again', 72, 688)], 1);
+    assert.deepStrictEqual(lines.map(line => line.text), ['Hello world', 'again']);
+    assert.strictEqual(lines[0].page, 1);
+    assert.strictEqual(lines[0].size, 10);
+  });
+
+  test('keeps runs that continue a word together', () => {
+    const lines = pdf.groupPdfTextLines([textItem('Extrac', 72, 700), textItem('tion', 102, 700)], 1);
+    assert.deepStrictEqual(lines.map(line => line.text), ['Extraction']);
+  });
+
+  test('starts a new line after an end-of-line marker', () => {
+    const items = [textItem('First', 72, 700, 10, true), textItem('Second', 150, 700)];
+    assert.deepStrictEqual(pdf.groupPdfTextLines(items, 1).map(line => line.text), ['First', 'Second']);
+  });
+
+  test('drops empty and whitespace-only runs', () => {
+    const lines = pdf.groupPdfTextLines([textItem('  ', 72, 700), { str: '', hasEOL: true }, textItem('Text', 72, 688)], 1);
+    assert.deepStrictEqual(lines.map(line => line.text), ['Text']);
+  });
+});
+
+describe('removePdfPageFurniture', () => {
+  const bodies = [['Alpha begins.', 'Alpha goes on.', 'Alpha ends.'], ['Beta begins.', 'Beta goes on.', 'Beta ends.'], ['Gamma begins.', 'Gamma goes on.', 'Gamma ends.']];
+  const page = (number, footer) => [
+    textLine('Journal of Testing, Vol. 3', 760, number, 8),
+    ...bodies[number - 1].map((text, i) => textLine(text, 700 - i * 12, number)),
+    textLine(footer, 40, number, 8),
+  ];
+
+  test('drops running headers and page numbers', () => {
+    const pages = pdf.removePdfPageFurniture([page(1, 'Page 1 of 3'), page(2, '- 2 -'), page(3, 'iii')]);
+    assert.deepStrictEqual(pages.map(lines => lines.map(line => line.text)), bodies);
+  });
+
+  test('keeps edge lines that only look like roman numerals', () => {
+    const pages = pdf.removePdfPageFurniture([page(1, 'mix'), page(2, 'did'), page(3, 'civil')]);
+    assert.deepStrictEqual(pages.map(lines => lines[lines.length - 1].text), ['mix', 'did', 'civil']);
+  });
+
+  test('recognizes page numbers', () => {
+    ['12', '- 4 -', '(7)', 'Page 2 of 3', 'p. 7', '3 / 10', 'iv', 'xii', 'XLIX', 'ccc'].forEach(text => assert.ok(pdf.PDF_PAGE_NUMBER_REGEX.test(text), text));
+    ['mix', 'did', 'civil', 'lid', 'iiii', 'vx', 'Chapter 2', ''].forEach(text => assert.ok(!pdf.PDF_PAGE_NUMBER_REGEX.test(text), text));
+  });
+});
+
+describe('joinPdfLines', () => {
+  test('undoes hyphenation at line ends', () => {
+    assert.strictEqual(pdf.joinPdfLines([{ text: 'a hyphen-' }, { text: 'ated word' }]), 'a hyphenated word');
+  });
+
+  test('keeps hyphens before capitals, and joins other lines with a space', () => {
+    assert.strictEqual(pdf.joinPdfLines([{ text: 'the Franco-' }, { text: 'Prussian war' }, { text: 'ended' }]), 'the Franco- Prussian war ended');
+  });
+});
+
+describe('buildPdfBlocks', () => {
+  test('makes headings of larger lines and splits paragraphs at wide gaps and short last lines', () => {
+    const blocks = pdf.buildPdfBlocks([[
+      textLine('A Study of Things', 720, 1, 18, 200),
+      textLine('Introduction', 690, 1, 14, 100),
+      textLine('The first paragraph is long enough to fill the whole', 668, 1),
+      textLine('line, and then it goes on to a second line of text.', 656, 1),
+      textLine('Short end.', 644, 1, 10, 60),
+      textLine('Another paragraph follows right after that short', 632, 1),
+      textLine('line and runs on.', 620, 1, 10, 120),
+      textLine('After a gap, the last paragraph starts here and it', 590, 1),
+      textLine('ends here.', 578, 1, 10, 60),
+    ]]);
+    assert.deepStrictEqual(blocks, [
+      { type: 'heading', level: 1, text: 'A Study of Things' },
+      { type: 'heading', level: 2, text: 'Introduction' },
+      { type: 'paragraph', level: null, text: 'The first paragraph is long enough to fill the whole line, and then it goes on to a second line of text. Short end.' },
+      { type: 'paragraph', level: null, text: 'Another paragraph follows right after that short line and runs on.' },
+      { type: 'paragraph', level: null, text: 'After a gap, the last paragraph starts here and it ends here.' },
+    ]);
+  });
+
+  test('returns nothing for pages without text', () => {
+    assert.deepStrictEqual(pdf.buildPdfBlocks([[], []]), []);
+  });
+});
+
+describe('parsePdfDate', () => {
+  test('reads full and partial PDF dates', () => {
+    assert.strictEqual(pdf.parsePdfDate("D:20240131120000+01'00'"), '2024-01-31T11:00:00.000Z');
+    assert.strictEqual(pdf.parsePdfDate('D:20240131120000Z'), '2024-01-31T12:00:00.000Z');
+    assert.strictEqual(pdf.parsePdfDate('D:2024'), '2024-01-01T00:00:00.000Z');
+  });
+
+  test('gives an empty string for missing or unreadable dates', () => {
+    assert.strictEqual(pdf.parsePdfDate(undefined), '');
+    assert.strictEqual(pdf.parsePdfDate('yesterday'), '');
+  });
+});
+
+describe('extractPdfArticle', () => {
+  test('rebuilds the fixture paper', async () => {
+    const bytes = new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', 'paper.pdf')));
+    const article = await pdf.extractPdfArticle(bytes);
+    // The document-info title is Word's "Microsoft Word - study.docx", so the first heading is used
+    assert.strictEqual(article.title, 'A Study of Things');
+    assert.strictEqual(article.byline, 'Ada Lovelace');
+    assert.strictEqual(article.publishedTime, '2024-01-31T11:00:00.000Z');
+    assert.strictEqual(article.pageCount, 3);
+    assert.strictEqual(article.truncated, false);
+
+    const text = pdf.formatPdfBlocks(article.blocks, 'markdown');
+    assert.ok(!text.includes('Journal of Testing'), 'running header removed');
+    assert.ok(!/Page \d of 3/.test(text), 'page numbers removed');
+    assert.ok(text.includes('a hyphenated word'), 'hyphenation undone');
+    assert.deepStrictEqual(article.blocks.filter(block => block.type === 'heading').map(block => `${block.level} ${block.text}`),
+      ['1 A Study of Things', '2 Introduction', '2 Methods', '2 Results']);
+    assert.strictEqual(article.blocks.filter(block => block.type === 'paragraph').length, 6);
+  });
+});
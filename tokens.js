@@ -0,0 +1,106 @@
+// tokens.js - Token estimation and chunking for model context limits
+//
+// The estimate is a heuristic (no tokenizer is bundled): roughly 4 characters
+// per token for Latin-script text and about one token per CJK character.
+// It errs on the high side so chunks fit comfortably.
+
+// Context sizes of common model families, in tokens
+const MODEL_TOKEN_PRESETS = {
+  'gpt-4': { label: 'GPT-4 (8K)', limit: 8192 },
+  'gpt-3.5': { label: 'GPT-3.5 Turbo (16K)', limit: 16385 },
+  'gpt-4o': { label: 'GPT-4o / GPT-4 Turbo (128K)', limit: 128000 },
+  'gpt-4.1': { label: 'GPT-4.1 (1M)', limit: 1000000 },
+  'claude': { label: 'Claude 3 / 3.5 / 4 (200K)', limit: 200000 },
+  'gemini-flash': { label: 'Gemini 1.5 Flash (1M)', limit: 1000000 },
+  'gemini-pro': { label: 'Gemini 1.5 Pro (2M)', limit: 2000000 },
+};
+
+// Tokens kept free in each chunk for the "Part N of M" header and footer
+const CHUNK_HEADER_RESERVE_TOKENS = 40;
+const CJK_CHAR_REGEX = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g;
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjkCount = (text.match(CJK_CHAR_REGEX) || []).length;
+  const otherLength = text.length - cjkCount;
+  return Math.ceil(otherLength / 4 + cjkCount);
+}
+
+// Splits an oversized paragraph on sentence ends, then hard-splits whatever is still too long
+function splitOversizedParagraph(paragraph, maxTokens) {
+  const sentences = paragraph.match(/[^.!?。！？]+(?:[.!?。！？]+["'”’)\]]*\s*|$)/g) || [paragraph];
+  const pieces = [];
+  let current = '';
+  sentences.forEach(sentence => {
+    if (estimateTokens(current + sentence) <= maxTokens) {
+      current += sentence;
+      return;
+    }
+    if (current) pieces.push(current.trim());
+    current = '';
+    if (estimateTokens(sentence) <= maxTokens) {
+      current = sentence;
+      return;
+    }
+    // A single "sentence" longer than a chunk: cut by estimated character budget
+    const charsPerChunk = Math.max(1, Math.floor(sentence.length * maxTokens / estimateTokens(sentence)));
+    for (let i = 0; i < sentence.length; i += charsPerChunk) {
+      pieces.push(sentence.substring(i, i + charsPerChunk).trim());
+    }
+  });
+  if (current.trim()) pieces.push(current.trim());
+  return pieces.filter(Boolean);
+}
+
+/**
+ * Splits text into chunks of at most `maxTokens` (estimated), on paragraph
+ * boundaries where possible.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @return {Array<string>} One entry per chunk; a single entry if the text fits.
+ */
+function splitIntoChunks(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+  // Pieces of an oversized paragraph are rejoined with a space, whole paragraphs with a blank line
+  const units = [];
+  text.split(/\n\s*\n/).filter(p => p.trim()).forEach(paragraph => {
+    if (estimateTokens(paragraph) <= maxTokens) {
+      units.push({ text: paragraph, separator: '\n\n' });
+      return;
+    }
+    splitOversizedParagraph(paragraph, maxTokens).forEach((piece, i) => units.push({ text: piece, separator: i === 0 ? '\n\n' : ' ' }));
+  });
+
+  const chunks = [];
+  let current = '';
+  units.forEach(unit => {
+    const candidate = current ? current + unit.separator + unit.text : unit.text;
+    if (estimateTokens(candidate) <= maxTokens) {
+      current = candidate;
+      return;
+    }
+    if (current) chunks.push(current);
+    current = unit.text;
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Splits a prompt for a model limit and labels each part.
+ * @param {string} text       The full output (prefix + article).
+ * @param {number} maxTokens  The model/user limit.
+ * @return {Array<string>} Chunks with "Part N of M" headers, or [text] if it fits.
+ */
+function chunkForModel(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+  const chunks = splitIntoChunks(text, Math.max(maxTokens - CHUNK_HEADER_RESERVE_TOKENS, 50));
+  const total = chunks.length;
+  return chunks.map((chunk, index) => {
+    const header = `[Part ${index + 1} of ${total}]`;
+    const footer = index < total - 1
+      ? `[End of part ${index + 1} of ${total}. More follows; wait for all parts before responding.]`
+      : `[End of part ${total} of ${total}. All parts sent.]`;
+    return `${header}\n\n${chunk}\n\n${footer}`;
+  });
+}
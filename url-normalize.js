@@ -0,0 +1,297 @@
+// url-normalize.js - Cleaning up article URLs
+//
+// Shared links often carry tracking parameters (utm_*, fbclid...), come wrapped
+// in a redirect (google.com/url?q=..., l.facebook.com/l.php?u=...) or point at
+// an AMP or mobile copy of the article. Before fetching, wrappers are unwrapped
+// and tracking parameters dropped; after fetching, the page's
+// <link rel="canonical"> gives the URL the article is recorded under (history
+// is keyed on it), next to the URL that was shared.
+//
+// Pages are parsed with DOMParser, which resolves relative URLs against the
+// app's own address; setDocumentBaseUrl points them back at the page's site.
+// Also loaded by the service worker (sw.js), so nothing here may need a DOM
+// until called.
+
+// Query parameters that only identify the campaign/click, matched exactly...
+const TRACKING_PARAMETERS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+  'igshid', 'igsh', 'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi', 'oly_anon_id', 'oly_enc_id', 'vero_id',
+  'rb_clickid', 's_cid', 'cmpid', 'ncid', 'ocid', 'sr_share', 'ref_src', 'ref_url', 'smid', 'wt_mc', 'wt.mc_id',
+  '__twitter_impression', 'spm', 'guccounter', 'guce_referrer', 'guce_referrer_sig',
+]);
+// ...or by prefix
+const TRACKING_PARAMETER_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_', 'at_', 'itm_'];
+
+// Redirect wrappers: the target is in one of `params` on these hosts (and path, if given)
+const REDIRECT_WRAPPERS = [
+  { host: /^(www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ['url', 'q'] },
+  { host: /^(l|lm|m)\.facebook\.com$/, path: /^\/l\.php$/, params: ['u'] },
+  { host: /^l\.instagram\.com$/, params: ['u'] },
+  { host: /^l\.messenger\.com$/, path: /^\/l\.php$/, params: ['u'] },
+  { host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ['q'] },
+  { host: /^out\.reddit\.com$/, params: ['url'] },
+  { host: /^away\.vk\.com$/, params: ['to'] },
+  { host: /^slack-redir\.net$/, params: ['url'] },
+  { host: /^t\.umblr\.com$/, path: /^\/redirect$/, params: ['z'] },
+  { host: /(^|\.)safelinks\.protection\.outlook\.com$/, params: ['url'] },
+  { host: /^(www\.)?linkedin\.com$/, path: /^\/redir\/redirect$/, params: ['url'] },
+  { host: /^click\.linksynergy\.com$/, params: ['murl'] },
+];
+const MAX_REDIRECT_UNWRAPS = 5;
+// Meta refresh is only followed on pages with less text than this (interstitials, not articles that reload)
+const MAX_REDIRECT_PAGE_TEXT_LENGTH = 1000;
+
+// Shorteners only answer with a redirect, which the fetch backend follows. Where
+// it led comes from the self-hosted proxy (tried first for these, see
+// getBackendsForUrl) or, through the public proxies, from the page itself
+// (meta refresh, canonical link or og:url)
+const LINK_SHORTENER_HOSTS = new Set([
+  't.co', 'bit.ly', 'bitly.com', 'ow.ly', 'buff.ly', 'tinyurl.com', 'is.gd', 'goo.gl', 'lnkd.in', 'dlvr.it',
+  'trib.al', 'fb.me', 'amzn.to', 'wp.me', 'apple.co', 'flip.it', 'nyti.ms', 'reut.rs', 'bbc.in', 'econ.st', 'wapo.st',
+]);
+
+function getUrlHostname(url) {
+  try { return new URL(url).hostname.toLowerCase(); } catch (e) { return ''; }
+}
+
+function isTrackingParameter(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMETERS.has(lower) || TRACKING_PARAMETER_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Removes tracking query parameters; other parameters keep their order.
+ * @param {string} url
+ * @return {string} The cleaned URL, or `url` unchanged if it can't be parsed.
+ */
+function stripTrackingParameters(url) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { return url; }
+  const names = Array.from(parsed.searchParams.keys()).filter(isTrackingParameter);
+  // Some sites put them in the hash instead (#utm_source=...)
+  const hashParams = parsed.hash.includes('=') ? Array.from(new URLSearchParams(parsed.hash.substring(1)).keys()) : [];
+  const trackingHash = hashParams.length > 0 && hashParams.every(isTrackingParameter);
+  if (names.length === 0 && !trackingHash) return url;
+  names.forEach(name => parsed.searchParams.delete(name));
+  if (!parsed.searchParams.toString()) parsed.search = '';
+  if (trackingHash) parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * The URL a redirect wrapper points to, unwrapping nested wrappers.
+ * @param {string} url
+ * @return {string} The target, or `url` if it isn't a known wrapper.
+ */
+function unwrapRedirectUrl(url) {
+  let current = url;
+  for (let i = 0; i < MAX_REDIRECT_UNWRAPS; i++) {
+    let parsed;
+    try { parsed = new URL(current); } catch (e) { return current; }
+    const wrapper = REDIRECT_WRAPPERS.find(w => w.host.test(parsed.hostname.toLowerCase()) && (!w.path || w.path.test(parsed.pathname)));
+    const target = wrapper && wrapper.params.map(name => parsed.searchParams.get(name)).find(value => value && /^https?:\/\//i.test(value));
+    if (!target) return current;
+    current = target;
+  }
+  return current;
+}
+
+// Unwraps redirect wrappers and strips tracking parameters; applied before fetching
+function normalizeArticleUrl(url) {
+  return stripTrackingParameters(unwrapRedirectUrl(url.trim()));
+}
+
+function isLinkShortenerUrl(url) {
+  return LINK_SHORTENER_HOSTS.has(getUrlHostname(url).replace(/^www\./, ''));
+}
+
+/**
+ * The page URL after redirects, where the fetch backend reports it: the proxy's
+ * X-Final-URL header (server/proxy.js), or the response URL of a direct fetch.
+ * The public proxies report neither.
+ * @param {Response} response
+ * @param {string}   targetUrl  The page URL that was requested.
+ * @return {string} '' if the backend doesn't say.
+ */
+function getResponseFinalUrl(response, targetUrl) {
+  const finalUrl = resolvePageUrl(response.headers.get('X-Final-URL'), targetUrl);
+  if (finalUrl) return finalUrl;
+  // A proxied response's URL is the proxy's, with the target encoded in it
+  if (response.url && !response.url.includes(encodeURIComponent(targetUrl))) return resolvePageUrl(response.url, targetUrl);
+  return '';
+}
+
+// An absolute http(s) URL from an attribute value, or '' if it has none.
+// Without a pageUrl only absolute values resolve.
+function resolvePageUrl(value, pageUrl) {
+  if (!value || !value.trim()) return '';
+  try {
+    const url = new URL(value.trim(), pageUrl || undefined);
+    return /^https?:$/.test(url.protocol) ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * The URL a saved page was downloaded from, as recorded by browsers' "Save page"
+ * ("<!-- saved from url=(0042)https://... -->") and by SingleFile ("url: https://...").
+ * @param {string} html
+ * @return {string} '' if the page doesn't say.
+ */
+function getSavedPageUrl(html) {
+  const head = html.substring(0, 4096);
+  const match = head.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i) || head.match(/<!--[^>]*?Page saved with SingleFile[\s\S]*?\burl:\s*(\S+)/i);
+  return match ? resolvePageUrl(match[1]) : '';
+}
+
+// What relative URLs on the page resolve against: its <base href> (itself relative to the page), or the page URL
+function getDocumentBaseUrl(doc, pageUrl) {
+  const base = doc.querySelector('base[href]');
+  return (base && resolvePageUrl(base.getAttribute('href'), pageUrl)) || pageUrl;
+}
+
+/**
+ * Makes the document resolve relative URLs against the page it came from, so
+ * Readability's _fixRelativeUris (and element.href, img.src...) give URLs on
+ * the source site instead of the app's.
+ * @param {Document} doc      Parsed with DOMParser; modified in place.
+ * @param {string}   pageUrl  The page URL, after redirects.
+ * @return {string} The base URL now in effect.
+ */
+function setDocumentBaseUrl(doc, pageUrl) {
+  const baseUrl = getDocumentBaseUrl(doc, pageUrl);
+  if (!resolvePageUrl(baseUrl)) return doc.baseURI;
+  let base = doc.querySelector('base[href]');
+  if (!base) {
+    base = doc.createElement('base');
+    (doc.head || doc.documentElement).prepend(base);
+  }
+  base.setAttribute('href', baseUrl);
+  return baseUrl;
+}
+
+// Makes links and media sources (src, poster, srcset) under `root` absolute, as Readability does for its content
+function resolveRelativeUrls(root, baseUrl) {
+  const resolve = value => {
+    try { return new URL(value.trim(), baseUrl).href; } catch (e) { return value; }
+  };
+  root.querySelectorAll('a[href]').forEach(link => {
+    const href = link.getAttribute('href');
+    if (!/^\s*javascript:/i.test(href)) link.setAttribute('href', resolve(href));
+  });
+  root.querySelectorAll('img, picture, figure, video, audio, source').forEach(media => {
+    ['src', 'poster'].forEach(name => {
+      const value = media.getAttribute(name);
+      if (value) media.setAttribute(name, resolve(value));
+    });
+    const srcset = media.getAttribute('srcset');
+    if (srcset) {
+      const candidates = srcset.split(/,\s+/).map(candidate => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        return [resolve(url), ...descriptors].join(' ');
+      });
+      media.setAttribute('srcset', candidates.join(', '));
+    }
+  });
+}
+
+/**
+ * Removes relative links and media sources under `root`, for a page whose URL
+ * is unknown (a saved file that doesn't say where it came from): they would
+ * resolve against the app. Absolute URLs stay; an image left without any
+ * source is removed.
+ * @param {Element} root  Modified in place.
+ */
+function removeRelativeUrls(root) {
+  const isAbsolute = value => {
+    try { new URL(value.trim()); return true; } catch (e) { return false; }
+  };
+  root.querySelectorAll('a[href]').forEach(link => {
+    if (!isAbsolute(link.getAttribute('href'))) link.removeAttribute('href');
+  });
+  root.querySelectorAll('img, picture, figure, video, audio, source').forEach(media => {
+    ['src', 'poster', 'data-src'].forEach(name => {
+      const value = media.getAttribute(name);
+      if (value !== null && !isAbsolute(value)) media.removeAttribute(name);
+    });
+    ['srcset', 'data-srcset'].forEach(name => {
+      const srcset = media.getAttribute(name);
+      if (srcset === null) return;
+      const candidates = srcset.split(/,\s+/).filter(candidate => isAbsolute(candidate.trim().split(/\s+/)[0]));
+      if (candidates.length) media.setAttribute(name, candidates.join(', '));
+      else media.removeAttribute(name);
+    });
+    if (media.tagName === 'IMG' && !['src', 'srcset', 'data-src', 'data-srcset'].some(name => media.hasAttribute(name))) media.remove();
+  });
+}
+
+/**
+ * The target of a <meta http-equiv="refresh"> redirect, as used by shortener
+ * interstitial pages (t.co and the like). Pages with an article's worth of
+ * text are not treated as redirects.
+ * @param {Document} doc
+ * @param {string}   pageUrl
+ * @return {string} '' if the page doesn't redirect.
+ */
+function getMetaRefreshUrl(doc, pageUrl) {
+  // <noscript> is kept: t.co puts its refresh there
+  if (doc.body && doc.body.textContent.replace(/\s+/g, ' ').trim().length > MAX_REDIRECT_PAGE_TEXT_LENGTH) return '';
+  const meta = Array.from(doc.querySelectorAll('meta[http-equiv]')).find(el => el.getAttribute('http-equiv').toLowerCase() === 'refresh');
+  const match = meta && (meta.getAttribute('content') || '').match(/^\s*\d*\s*[;,]\s*url\s*=\s*['"]?([^'"]+)/i);
+  const target = match ? resolvePageUrl(match[1], getDocumentBaseUrl(doc, pageUrl)) : '';
+  return target && target !== pageUrl ? target : '';
+}
+
+/**
+ * The page's canonical URL, with tracking parameters stripped.
+ * A canonical pointing at the site's home page from an article is a common
+ * misconfiguration and is ignored.
+ * @param {Document} doc
+ * @param {string}   pageUrl  The URL the page was fetched from.
+ * @return {string} '' if there is none.
+ */
+function getCanonicalUrl(doc, pageUrl) {
+  const link = doc.querySelector('link[rel~="canonical" i][href]');
+  return checkPageOwnUrl(link && link.getAttribute('href'), doc, pageUrl);
+}
+
+// A URL the page gives for itself, resolved and without tracking parameters; '' if
+// missing or if it is the site's home page while the page isn't
+function checkPageOwnUrl(value, doc, pageUrl) {
+  const url = resolvePageUrl(value, getDocumentBaseUrl(doc, pageUrl));
+  if (!url) return '';
+  try {
+    if (new URL(url).pathname === '/' && pageUrl && new URL(pageUrl).pathname !== '/') return '';
+  } catch (e) {
+    return '';
+  }
+  return stripTrackingParameters(url);
+}
+
+/**
+ * The URL a page gives for itself: its canonical link, else its og:url. Only
+ * trusted where there is no better URL: a link shortener the backend didn't
+ * report the redirect of, or a saved file. Other pages keep the URL they were
+ * fetched from, since a canonical can point at another site (syndication),
+ * the non-AMP copy or the first of several pages.
+ * @param {Document} doc
+ * @param {string}   pageUrl  The URL that was requested ('' for a file).
+ * @return {string} '' if the page names neither.
+ */
+function getDocumentOwnUrl(doc, pageUrl) {
+  const ogUrl = doc.querySelector('meta[property="og:url" i][content]');
+  return getCanonicalUrl(doc, pageUrl) || checkPageOwnUrl(ogUrl && ogUrl.getAttribute('content'), doc, pageUrl);
+}
+
+// The AMP version a page links to with <link rel="amphtml">, '' if none
+function getAmpHtmlUrl(doc, pageUrl) {
+  const link = doc.querySelector('link[rel~="amphtml" i][href]');
+  return link ? resolvePageUrl(link.getAttribute('href'), getDocumentBaseUrl(doc, pageUrl)) : '';
+}
+
+// AMP pages mark themselves with <html amp> or <html ⚡>
+function isAmpDocument(doc) {
+  const html = doc.documentElement;
+  return !!html && (html.hasAttribute('amp') || html.hasAttribute('⚡'));
+}